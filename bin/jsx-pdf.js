@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+const run = require('../dst/cli').default;
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -2,7 +2,8 @@
 
 import fs from 'fs';
 import path from 'path';
-import PDFMake from 'pdfmake';
+import { pipeline } from 'stream';
+import { promisify } from 'util';
 
 import { OpenSans } from './font-descriptors';
 
@@ -15,31 +16,32 @@ import PDF from './components/root';
 // metrics
 const start = Date.now();
 
-try {
-  console.log('Generating PDF...');
-
-  // here's where the PDF is created
-  const config = {
-    copyrightYear: 2018,
-  };
-
-  const pdfMake = new PDFMake({
-    OpenSans,
-  });
-
-  const stream = pdfMake.createPdfKitDocument(
-    JsxPdf.renderPdf(<PDF config={config} />),
-  );
-
-  // write the stream to a file; this could also be streamed to an HTTP connection, stdout etc
-  stream.on('end', () => console.log('PDF generated'));
-  stream.pipe(fs.createWriteStream(path.resolve(__dirname, 'example.pdf')));
-  stream.end();
-} catch (err) {
-  console.error('PDF generation failed');
-  console.error(err);
-} finally {
-  // metrics
-  const end = Date.now();
-  console.error(`Took ${(end - start).toFixed(0)}ms`);
-}
+(async () => {
+  try {
+    console.log('Generating PDF...');
+
+    // here's where the PDF is created
+    const config = {
+      copyrightYear: 2018,
+    };
+
+    const stream = await JsxPdf.renderToStream(<PDF config={config} />, {
+      fonts: { OpenSans },
+    });
+
+    // write the stream to a file; this could also be streamed to an HTTP connection, stdout etc
+    await promisify(pipeline)(
+      stream,
+      fs.createWriteStream(path.resolve(__dirname, 'example.pdf')),
+    );
+    console.log('PDF generated');
+  } catch (err) {
+    console.error('PDF generation failed');
+    console.error(err);
+    process.exitCode = 1;
+  } finally {
+    // metrics
+    const end = Date.now();
+    console.error(`Took ${(end - start).toFixed(0)}ms`);
+  }
+})();
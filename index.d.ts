@@ -0,0 +1,383 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+/// <reference types="node" />
+
+import PdfPrinter = require('pdfmake');
+import {
+  BufferOptions,
+  CanvasEllipse,
+  CanvasLine,
+  CanvasPolyline,
+  CanvasRect,
+  ColumnProperties,
+  ContentBase,
+  ContentImage,
+  ContentLink,
+  ContentOrderedList,
+  ContentQr,
+  ContentSvg,
+  ContentTocItem,
+  ContentUnorderedList,
+  ContextPageSize,
+  OrderedListType,
+  StyleDictionary,
+  Table,
+  TableCellProperties,
+  TableLayout,
+  TableOfContent,
+  TDocumentDefinitions,
+  TFontDictionary,
+  UnorderedListType,
+  Watermark,
+} from 'pdfmake/interfaces';
+
+declare namespace JsxPdf {
+  type Key = string | number;
+
+  /**
+   * Where an element was written, kept by the development JSX runtime.
+   */
+  interface Source {
+    fileName: string;
+    lineNumber: number;
+    columnNumber: number;
+  }
+
+  /**
+   * An element created by `createElement` or the JSX runtime.
+   */
+  interface Element<P = any> {
+    elementName: string | symbol | Component<P>;
+    attributes: P;
+    children: Child[];
+    source?: Source;
+  }
+
+  /**
+   * Anything a component can render.
+   */
+  type Node = Element | string | number | boolean | null | undefined | Node[];
+
+  /**
+   * Render functions can appear anywhere inside a `<header>`, `<footer>` or
+   * `<background>`, and are called for every page. Inside a `<background>` they are
+   * called with `(currentPage, pageSize)` instead.
+   */
+  type RenderFunction = (
+    currentPage: number,
+    pageCount: number,
+    pageSize: ContextPageSize,
+  ) => Node;
+
+  type BackgroundRenderFunction = (
+    currentPage: number,
+    pageSize: ContextPageSize,
+  ) => Node;
+
+  type Child = Node | RenderFunction;
+
+  /**
+   * Children are passed to components as an array, except for a function passed as
+   * the only child, which is passed as is.
+   */
+  type Children = Child | Child[];
+
+  /**
+   * The second argument of every component. Values are best shared through
+   * `createContext`, so that they don't clash with those of other libraries.
+   */
+  interface RenderContext {
+    [key: string]: any;
+    [key: symbol]: any;
+  }
+
+  type UpdateContext = (overrides: RenderContext) => RenderContext;
+
+  interface Component<P = {}> {
+    (props: P, context: RenderContext, updateContext: UpdateContext):
+      | Children
+      | Promise<Children>;
+    displayName?: string;
+  }
+
+  type PropsWithChildren<P = {}> = P & { children?: Children };
+
+  /**
+   * Errors thrown while rendering point to where they were thrown from.
+   */
+  interface RenderError extends Error {
+    componentPath?: string;
+    componentSource?: string;
+  }
+
+  interface RenderCache {
+    hits: number;
+    misses: number;
+    clear(): void;
+  }
+
+  interface RenderCacheOptions {
+    maxEntries?: number;
+  }
+
+  interface RenderOptions {
+    concurrency?: number;
+    cache?: RenderCache;
+    strict?: boolean | 'warn';
+    testMode?: boolean;
+  }
+
+  type RenderToStreamOptions = RenderOptions &
+    (
+      | { fonts: TFontDictionary; printer?: undefined }
+      | { printer: PdfPrinter; fonts?: undefined }
+    ) & { pdfOptions?: BufferOptions };
+
+  interface Context<T> {
+    Provider: Component<{ value: T; children?: Children }>;
+    Consumer: Component<{ children: (value: T) => Node }>;
+    read(context: RenderContext): T;
+  }
+
+  interface ErrorBoundaryProps {
+    fallback?: Node | ((error: RenderError) => Node);
+    onError?: (error: RenderError) => void;
+    children?: Children;
+  }
+
+  /**
+   * The attributes every node accepts, which includes the style properties and those
+   * which only mean something to the parent of an element, such as `colSpan` in a
+   * `<row>` or `width` in `<columns>`.
+   */
+  interface NodeAttributes
+    extends ContentBase,
+      ContentLink,
+      Partial<
+        Pick<
+          ContentTocItem,
+          'tocItem' | 'tocStyle' | 'tocNumberStyle' | 'tocMargin'
+        >
+      >,
+      Pick<
+        TableCellProperties,
+        'colSpan' | 'rowSpan' | 'border' | 'borderColor'
+      >,
+      ColumnProperties {
+    key?: Key;
+    testId?: string;
+    id?: string;
+    listType?: OrderedListType | UnorderedListType;
+    counter?: number;
+  }
+
+  interface ContainerAttributes extends NodeAttributes {
+    children?: Children;
+  }
+
+  interface DocumentAttributes
+    extends Pick<
+      TDocumentDefinitions,
+      | 'pageSize'
+      | 'pageOrientation'
+      | 'pageMargins'
+      | 'info'
+      | 'defaultStyle'
+      | 'styles'
+      | 'images'
+      | 'compress'
+      | 'userPassword'
+      | 'ownerPassword'
+      | 'permissions'
+      | 'version'
+      | 'subset'
+      | 'tagged'
+      | 'displayTitle'
+      | 'language'
+      | 'pageBreakBefore'
+    > {
+    children?: Children;
+  }
+
+  interface BackgroundAttributes extends NodeAttributes {
+    children?:
+      | Node
+      | BackgroundRenderFunction
+      | Array<Node | BackgroundRenderFunction>;
+  }
+
+  interface WatermarkAttributes extends Omit<Watermark, 'text'> {
+    key?: Key;
+    text?: string;
+    children?:
+      | string
+      | number
+      | ((currentPage: number, pageSize: ContextPageSize) => Node);
+  }
+
+  interface UnorderedListAttributes
+    extends ContainerAttributes,
+      Pick<ContentUnorderedList, 'type'> {}
+
+  interface OrderedListAttributes
+    extends ContainerAttributes,
+      Pick<ContentOrderedList, 'type' | 'separator' | 'reversed' | 'start'> {}
+
+  interface TocAttributes
+    extends ContainerAttributes,
+      Pick<TableOfContent, 'textMargin' | 'textStyle' | 'numberStyle'> {
+    title?: string | Element;
+  }
+
+  interface LinkAttributes extends ContainerAttributes {
+    href?: string;
+    page?: number;
+    to?: string;
+  }
+
+  interface ImageAttributes
+    extends Omit<NodeAttributes, 'width'>,
+      Pick<ContentImage, 'width' | 'height' | 'fit' | 'cover'> {
+    src: string | Buffer;
+  }
+
+  interface SvgAttributes
+    extends Omit<NodeAttributes, 'width'>,
+      Pick<ContentSvg, 'width' | 'height' | 'fit'> {
+    content: string;
+  }
+
+  interface QrAttributes
+    extends NodeAttributes,
+      Pick<
+        ContentQr,
+        | 'foreground'
+        | 'fit'
+        | 'version'
+        | 'eccLevel'
+        | 'mode'
+        | 'mask'
+        | 'padding'
+      > {
+    content: string;
+  }
+
+  interface TableAttributes
+    extends NodeAttributes,
+      Pick<
+        Table,
+        | 'widths'
+        | 'heights'
+        | 'headerRows'
+        | 'dontBreakRows'
+        | 'keepWithHeaderRows'
+      > {
+    layout?: TableLayout;
+    children?: Children;
+  }
+
+  interface RowAttributes {
+    key?: Key;
+    children?: Children;
+  }
+
+  // pdfmake applies the line cap to every shape
+  type VectorAttributes<T> = Omit<T, 'type'> &
+    Pick<CanvasLine, 'lineCap'> & { key?: Key; testId?: string };
+
+  namespace JSX {
+    type Element = JsxPdf.Element;
+
+    type ElementType = keyof IntrinsicElements | Component<any>;
+
+    interface ElementChildrenAttribute {
+      children: {};
+    }
+
+    interface IntrinsicAttributes {
+      key?: Key;
+    }
+
+    interface IntrinsicElements {
+      document: DocumentAttributes;
+      header: ContainerAttributes;
+      content: ContainerAttributes;
+      footer: ContainerAttributes;
+      background: BackgroundAttributes;
+      watermark: WatermarkAttributes;
+      stack: ContainerAttributes;
+      column: ContainerAttributes;
+      cell: ContainerAttributes;
+      section: ContainerAttributes;
+      columns: ContainerAttributes;
+      ul: UnorderedListAttributes;
+      ol: OrderedListAttributes;
+      toc: TocAttributes;
+      text: ContainerAttributes;
+      span: ContainerAttributes;
+      b: ContainerAttributes;
+      i: ContainerAttributes;
+      u: ContainerAttributes;
+      s: ContainerAttributes;
+      sup: ContainerAttributes;
+      sub: ContainerAttributes;
+      link: LinkAttributes;
+      image: ImageAttributes;
+      svg: SvgAttributes;
+      qr: QrAttributes;
+      table: TableAttributes;
+      row: RowAttributes;
+      canvas: ContainerAttributes;
+      rect: VectorAttributes<CanvasRect>;
+      line: VectorAttributes<CanvasLine>;
+      polyline: VectorAttributes<CanvasPolyline>;
+      ellipse: VectorAttributes<CanvasEllipse>;
+      pageBreak: NodeAttributes;
+      styles: StyleDictionary;
+    }
+  }
+
+  function createElement<K extends keyof JSX.IntrinsicElements>(
+    elementName: K,
+    attributes?: JSX.IntrinsicElements[K] | null,
+    ...children: Child[]
+  ): Element<JSX.IntrinsicElements[K]>;
+  function createElement<P>(
+    elementName: Component<P>,
+    attributes?: P | null,
+    ...children: Child[]
+  ): Element<P>;
+
+  function createContext<T>(defaultValue: T): Context<T>;
+
+  function renderPdf(
+    element: Element,
+    options?: RenderOptions,
+  ): Promise<TDocumentDefinitions>;
+
+  function renderToStream(
+    element: Element,
+    options: RenderToStreamOptions,
+  ): Promise<PDFKit.PDFDocument>;
+
+  function renderToBuffer(
+    element: Element,
+    options: RenderToStreamOptions,
+  ): Promise<Buffer>;
+
+  const Fragment: Component<{ children?: Children }>;
+
+  const ErrorBoundary: Component<ErrorBoundaryProps>;
+
+  function memo<P>(
+    component: Component<P>,
+    areEqual?: (previousProps: P, nextProps: P) => boolean,
+  ): Component<P>;
+
+  function createRenderCache(options?: RenderCacheOptions): RenderCache;
+}
+
+export default JsxPdf;
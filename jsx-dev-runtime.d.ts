@@ -0,0 +1,19 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import JsxPdf from './index';
+
+export import JSX = JsxPdf.JSX;
+
+export declare const Fragment: typeof JsxPdf.Fragment;
+
+export declare function jsxDEV(
+  elementName: JSX.ElementType,
+  props: { children?: JsxPdf.Children; [attribute: string]: any },
+  key: JsxPdf.Key | undefined,
+  isStaticChildren: boolean,
+  source?: JsxPdf.Source,
+  self?: unknown,
+): JsxPdf.Element;
@@ -0,0 +1,18 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import JsxPdf from './index';
+
+export import JSX = JsxPdf.JSX;
+
+export declare const Fragment: typeof JsxPdf.Fragment;
+
+export declare function jsx(
+  elementName: JSX.ElementType,
+  props: { children?: JsxPdf.Children; [attribute: string]: any },
+  key?: JsxPdf.Key,
+): JsxPdf.Element;
+
+export declare const jsxs: typeof jsx;
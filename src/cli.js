@@ -0,0 +1,176 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// libs
+import fs from 'fs';
+import has from 'lodash/has';
+
+import JsxPdf from '.';
+import {
+  UsageError,
+  loadTemplate,
+  readFonts,
+  readProps,
+  registerJsx,
+} from './loaders';
+import createPreviewServer from './preview';
+
+const usage = `Usage: jsx-pdf render <template> [options]
+       jsx-pdf preview <template> [options]
+
+Renders the component exported by <template> to a PDF, or previews it in the
+browser, rendering it again whenever the files it uses change.
+
+Options:
+  -p, --props <path>   JSON file with the props of the component, - for stdin.
+                       preview also accepts a directory of JSON fixtures
+  -f, --fonts <path>   directory of .ttf/.otf files, or a .json/.js fonts config
+  -o, --output <file>  render: file to write to instead of stdout
+      --json           render: write the pdfmake document definition instead
+                       of a PDF
+      --port <port>    preview: port to listen on, 3000 by default
+  -h, --help           show this message
+`;
+
+const optionNames = {
+  '-p': 'props',
+  '--props': 'props',
+  '-f': 'fonts',
+  '--fonts': 'fonts',
+  '-o': 'output',
+  '--output': 'output',
+  '--port': 'port',
+};
+
+function parseArgs(args) {
+  const options = { positionals: [] };
+  for (let i = 0; i < args.length; i += 1) {
+    const argument = args[i];
+    if (argument === '-h' || argument === '--help') {
+      options.help = true;
+    } else if (argument === '--json') {
+      options.json = true;
+    } else if (has(optionNames, argument)) {
+      i += 1;
+      if (i === args.length) {
+        throw new UsageError(`${argument} requires a value`);
+      }
+      options[optionNames[argument]] = args[i];
+    } else if (argument.startsWith('-') && argument !== '-') {
+      throw new UsageError(`Unknown option ${argument}`);
+    } else {
+      options.positionals.push(argument);
+    }
+  }
+  return options;
+}
+
+function getTemplate(options) {
+  const [command, template, ...rest] = options.positionals;
+  if (!template || rest.length > 0) {
+    throw new UsageError(`Expected a single template to ${command}`);
+  }
+  return template;
+}
+
+async function render(options, { stdin, stdout }) {
+  const template = getTemplate(options);
+  if (options.port) {
+    throw new UsageError('--port can only be used with preview');
+  }
+  if (!options.json && !options.fonts) {
+    throw new UsageError('--fonts is required to render a PDF');
+  }
+
+  registerJsx();
+  const Template = loadTemplate(template);
+  const props = await readProps(options.props, stdin);
+  const element = JsxPdf.createElement(Template, props);
+
+  const output = options.json
+    ? `${JSON.stringify(await JsxPdf.renderPdf(element), null, 2)}\n`
+    : await JsxPdf.renderToBuffer(element, {
+        fonts: await readFonts(options.fonts),
+      });
+  if (options.output) {
+    await fs.promises.writeFile(options.output, output);
+  } else {
+    stdout.write(output);
+  }
+}
+
+// resolves once the server is listening, which keeps the process running
+async function preview(options, { stdout }) {
+  const template = getTemplate(options);
+  if (options.json || options.output) {
+    throw new UsageError(
+      `${options.json ? '--json' : '--output'} can only be used with render`,
+    );
+  }
+  if (!options.fonts) {
+    throw new UsageError('--fonts is required to preview a PDF');
+  }
+  const port = Number(options.port || 3000);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`Invalid port ${options.port}`);
+  }
+
+  registerJsx();
+  const { server } = createPreviewServer(template, {
+    props: options.props,
+    fonts: options.fonts,
+  });
+  await new Promise((onListening, onError) => {
+    server.once('error', onError);
+    server.listen(port, '127.0.0.1', onListening);
+  });
+  stdout.write(
+    `Previewing ${template} at http://localhost:${server.address().port}\n`,
+  );
+}
+
+const commands = { render, preview };
+
+/**
+ * Runs the jsx-pdf command with the given arguments, resolving to its exit code:
+ * 0 on success, 1 if rendering failed and 2 if the arguments were invalid.
+ */
+export default async function run(
+  args,
+  {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {},
+) {
+  try {
+    const options = parseArgs(args);
+    if (options.help) {
+      stdout.write(usage);
+      return 0;
+    }
+
+    const [command] = options.positionals;
+    if (!has(commands, command)) {
+      throw new UsageError(
+        command ? `Unknown command ${command}` : 'Missing command',
+      );
+    }
+
+    await commands[command](options, { stdin, stdout });
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      stderr.write(`jsx-pdf: ${err.message}\n\n${usage}`);
+      return 2;
+    }
+
+    stderr.write(`jsx-pdf: ${err.message}\n`);
+    if (err.componentPath) {
+      stderr.write(`  in ${err.componentPath}\n`);
+    }
+    return 1;
+  }
+}
@@ -0,0 +1,451 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { transformFileSync } from '@babel/core';
+import registerBabel from '@babel/register';
+import PdfPrinter from 'pdfmake';
+import run from './cli';
+import createPreviewServer from './preview';
+
+jest.mock('@babel/register');
+jest.mock('./preview');
+jest.mock('pdfmake', () => jest.fn());
+
+const writtenTo = (stream) =>
+  stream.write.mock.calls.map(([chunk]) => chunk.toString()).join('');
+
+const runCli = async (args, input = '') => {
+  const stdin = new PassThrough();
+  stdin.end(input);
+  const stdout = { write: jest.fn() };
+  const stderr = { write: jest.fn() };
+  const exitCode = await run(args, { stdin, stdout, stderr });
+
+  return { exitCode, stdout: writtenTo(stdout), stderr: writtenTo(stderr) };
+};
+
+describe('jsx-pdf render', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsx-pdf-'));
+  const exampleFonts = path.resolve(__dirname, '../example/fonts');
+
+  const writeFile = (name, contents) => {
+    const file = path.join(directory, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  // templates are plain CommonJS, as the JSX transform is mocked out
+  const writeTemplate = (name, body) =>
+    writeFile(
+      name,
+      `const JsxPdf = require(${JSON.stringify(
+        path.resolve(__dirname, 'index.js'),
+      )}).default;
+      ${body}`,
+    );
+
+  const invoice = writeTemplate(
+    'invoice.js',
+    `exports.default = ({ customer }) =>
+      JsxPdf.createElement('document', null,
+        JsxPdf.createElement('content', null, 'Invoice for ' + customer));`,
+  );
+
+  // compiles a template with the babel config the command registers
+  const renderJsx = async (name, source) => {
+    await runCli(['render', invoice, '--json']);
+    const [[{ extensions, ...options }]] = registerBabel.mock.calls;
+    const { code } = transformFileSync(writeFile(name, source), options);
+    const template = writeFile(`${name}.js`, code);
+
+    expect(extensions).toEqual(['.js', '.jsx']);
+
+    const result = await runCli(
+      ['render', template, '-p', '-', '--json'],
+      '{ "customer": "Example, Inc" }',
+    );
+    return { code, definition: JSON.parse(result.stdout) };
+  };
+
+  beforeEach(() => {
+    registerBabel.mockClear();
+    PdfPrinter.mockClear();
+    PdfPrinter.mockImplementation(() => ({
+      createPdfKitDocument: (definition) => {
+        const pdf = new PassThrough();
+        pdf.write(`PDF of ${JSON.stringify(definition)}`);
+
+        return pdf;
+      },
+    }));
+  });
+
+  afterAll(() => {
+    // Node.js 12 only has the recursive rmdirSync, which later versions deprecate
+    (fs.rmSync || fs.rmdirSync)(directory, { recursive: true });
+  });
+
+  it('should render the template to a PDF file with the props and fonts', async () => {
+    const props = writeFile('props.json', '{ "customer": "Example, Inc" }');
+    const output = path.join(directory, 'invoice.pdf');
+
+    const result = await runCli([
+      'render',
+      invoice,
+      '--props',
+      props,
+      '--fonts',
+      exampleFonts,
+      '-o',
+      output,
+    ]);
+
+    expect(result).toEqual({ exitCode: 0, stdout: '', stderr: '' });
+    expect(fs.readFileSync(output, 'utf8')).toBe(
+      'PDF of {"content":{"stack":["Invoice for Example, Inc"]}}',
+    );
+    expect(PdfPrinter).toHaveBeenCalledWith(
+      expect.objectContaining({
+        OpenSans: {
+          normal: path.join(exampleFonts, 'OpenSans/OpenSans-Regular.ttf'),
+          bold: path.join(exampleFonts, 'OpenSans/OpenSans-Bold.ttf'),
+          italics: path.join(exampleFonts, 'OpenSans/OpenSans-Italic.ttf'),
+          bolditalics: path.join(
+            exampleFonts,
+            'OpenSans/OpenSans-BoldItalic.ttf',
+          ),
+        },
+      }),
+    );
+  });
+
+  describe('JSX', () => {
+    it('should compile templates which import JsxPdf with its pragma', async () => {
+      const { code, definition } = await renderJsx(
+        'classic.jsx',
+        `import JsxPdf from ${JSON.stringify(
+          path.resolve(__dirname, 'index.js'),
+        )};
+          export default ({ customer }) => (
+            <document><content>Invoice for {customer}</content></document>
+          );`,
+      );
+
+      expect(code).toContain('.createElement("document"');
+      expect(definition).toEqual({
+        content: { stack: ['Invoice for Example, Inc'] },
+      });
+    });
+
+    it('should compile other templates with the automatic runtime of jsx-pdf', async () => {
+      const { code, definition } = await renderJsx(
+        'automatic.jsx',
+        `export default ({ customer }) => (
+            <document><content>Invoice for {customer}</content></document>
+          );`,
+      );
+
+      expect(code).toContain(
+        `require(${JSON.stringify(`${__dirname}/jsx-runtime`)})`,
+      );
+      expect(definition).toEqual({
+        content: { stack: ['Invoice for Example, Inc'] },
+      });
+    });
+  });
+
+  it('should write the document definition read from stdin with --json', async () => {
+    const result = await runCli(
+      ['render', invoice, '-p', '-', '--json'],
+      '{ "customer": "Example, Inc" }',
+    );
+
+    expect(result.exitCode).toBe(0);
+    expect(JSON.parse(result.stdout)).toEqual({
+      content: { stack: ['Invoice for Example, Inc'] },
+    });
+    expect(PdfPrinter).not.toHaveBeenCalled();
+  });
+
+  it('should write the PDF to stdout without an output file', async () => {
+    const result = await runCli(['render', invoice, '--fonts', exampleFonts]);
+
+    expect(result).toEqual({
+      exitCode: 0,
+      stdout: 'PDF of {"content":{"stack":["Invoice for undefined"]}}',
+      stderr: '',
+    });
+  });
+
+  it('should group fonts by family and fall back to the regular style', async () => {
+    writeFile('fonts/Mono.ttf', '');
+    writeFile('fonts/Serif-Bold.otf', '');
+    writeFile('fonts/Serif-Regular.otf', '');
+    writeFile('fonts/Sans/Sans-Light.ttf', '');
+    writeFile('fonts/Sans/Sans-BoldOblique.ttf', '');
+    writeFile('fonts/LICENSE.txt', '');
+    const fonts = path.join(directory, 'fonts');
+
+    await runCli(['render', invoice, '-f', fonts]);
+
+    expect(PdfPrinter).toHaveBeenCalledWith({
+      Mono: {
+        normal: path.join(fonts, 'Mono.ttf'),
+        bold: path.join(fonts, 'Mono.ttf'),
+        italics: path.join(fonts, 'Mono.ttf'),
+        bolditalics: path.join(fonts, 'Mono.ttf'),
+      },
+      Serif: {
+        normal: path.join(fonts, 'Serif-Regular.otf'),
+        bold: path.join(fonts, 'Serif-Bold.otf'),
+        italics: path.join(fonts, 'Serif-Regular.otf'),
+        bolditalics: path.join(fonts, 'Serif-Regular.otf'),
+      },
+      Sans: {
+        normal: path.join(fonts, 'Sans/Sans-BoldOblique.ttf'),
+        bold: path.join(fonts, 'Sans/Sans-BoldOblique.ttf'),
+        italics: path.join(fonts, 'Sans/Sans-BoldOblique.ttf'),
+        bolditalics: path.join(fonts, 'Sans/Sans-BoldOblique.ttf'),
+      },
+      'Sans-Light': {
+        normal: path.join(fonts, 'Sans/Sans-Light.ttf'),
+        bold: path.join(fonts, 'Sans/Sans-Light.ttf'),
+        italics: path.join(fonts, 'Sans/Sans-Light.ttf'),
+        bolditalics: path.join(fonts, 'Sans/Sans-Light.ttf'),
+      },
+    });
+  });
+
+  it('should resolve the fonts in a config relative to it', async () => {
+    const config = writeFile(
+      'config/fonts.json',
+      JSON.stringify({
+        OpenSans: { normal: 'OpenSans.ttf', bold: '/usr/share/Bold.ttf' },
+      }),
+    );
+
+    await runCli(['render', invoice, '--fonts', config]);
+
+    expect(PdfPrinter).toHaveBeenCalledWith({
+      OpenSans: {
+        normal: path.join(directory, 'config/OpenSans.ttf'),
+        bold: '/usr/share/Bold.ttf',
+      },
+    });
+  });
+
+  it('should pass on fonts from a module which are not paths', async () => {
+    const config = writeFile(
+      'config/fonts.js',
+      `exports.default = { Mono: { normal: Buffer.from('font') } };`,
+    );
+
+    await runCli(['render', invoice, '--fonts', config]);
+
+    expect(PdfPrinter).toHaveBeenCalledWith({
+      Mono: { normal: Buffer.from('font') },
+    });
+  });
+
+  it('should exit with 1 and print the component path if rendering fails', async () => {
+    const broken = writeTemplate(
+      'broken.js',
+      `const Total = () => { throw new Error('No line items'); };
+      module.exports = function Invoice() {
+        return JsxPdf.createElement('document', null,
+          JsxPdf.createElement('content', null, JsxPdf.createElement(Total)));
+      };`,
+    );
+
+    expect(await runCli(['render', broken, '--json'])).toEqual({
+      exitCode: 1,
+      stdout: '',
+      stderr:
+        'jsx-pdf: No line items\n  in Invoice > document > content > Total\n',
+    });
+  });
+
+  it('should name anonymous templates after their file in the component path', async () => {
+    // the way babel compiles `export default () => ...`
+    const broken = writeTemplate(
+      'anonymous.jsx',
+      `const Total = () => { throw new Error('No line items'); };
+      var _default = () => JsxPdf.createElement('document', null,
+        JsxPdf.createElement('content', null, JsxPdf.createElement(Total)));
+      exports.default = _default;`,
+    );
+
+    expect(await runCli(['render', broken, '--json'])).toEqual({
+      exitCode: 1,
+      stdout: '',
+      stderr:
+        'jsx-pdf: No line items\n  in anonymous > document > content > Total\n',
+    });
+  });
+
+  it('should exit with 1 if the PDF could not be written', async () => {
+    const result = await runCli([
+      'render',
+      invoice,
+      '--json',
+      '-o',
+      path.join(directory, 'missing/invoice.json'),
+    ]);
+
+    expect(result.exitCode).toBe(1);
+    expect(result.stderr).toMatch(/^jsx-pdf: ENOENT/);
+  });
+
+  it('should print the usage with --help', async () => {
+    const result = await runCli(['--help']);
+
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).toMatch(/^Usage: jsx-pdf render <template>/);
+  });
+
+  it('should write to the standard streams of the process by default', async () => {
+    const write = jest
+      .spyOn(process.stdout, 'write')
+      .mockImplementation(() => true);
+
+    expect(await run(['--help'])).toBe(0);
+    expect(write).toHaveBeenCalledWith(
+      expect.stringMatching(/^Usage: jsx-pdf render <template>/),
+    );
+    write.mockRestore();
+  });
+
+  it.each([
+    [[], 'Missing command'],
+    [['build', invoice], 'Unknown command build'],
+    [['render'], 'Expected a single template to render'],
+    [['render', invoice, invoice], 'Expected a single template to render'],
+    [['render', invoice], '--fonts is required to render a PDF'],
+    [['render', invoice, '--watch'], 'Unknown option --watch'],
+    [['render', invoice, '--json', '--props'], '--props requires a value'],
+    [
+      ['render', writeTemplate('empty.js', 'module.exports = null;'), '--json'],
+      'empty.js must export a component as its default',
+    ],
+    [['toString', invoice], 'Unknown command toString'],
+    [
+      ['render', invoice, '--json', '--port', '3000'],
+      '--port can only be used with preview',
+    ],
+    [['preview'], 'Expected a single template to preview'],
+    [['preview', invoice, '--json'], '--json can only be used with render'],
+    [
+      ['preview', invoice, '-o', 'a.pdf'],
+      '--output can only be used with render',
+    ],
+    [['preview', invoice], '--fonts is required to preview a PDF'],
+    [
+      ['preview', invoice, '-f', 'fonts', '--port', 'http'],
+      'Invalid port http',
+    ],
+    [['preview', invoice, '-f', 'fonts', '--port', '-1'], 'Invalid port -1'],
+    [
+      ['preview', invoice, '-f', 'fonts', '--port', '65536'],
+      'Invalid port 65536',
+    ],
+  ])('should exit with 2 and print the usage for %j', async (args, message) => {
+    const result = await runCli(args);
+
+    expect(result.exitCode).toBe(2);
+    expect(result.stderr).toContain(message);
+    expect(result.stderr).toContain('Usage: jsx-pdf render <template>');
+  });
+
+  it('should exit with 2 if the props are not valid JSON', async () => {
+    const props = writeFile('invalid.json', '{ customer }');
+
+    expect(
+      (await runCli(['render', invoice, '--json', '--props', props])).stderr,
+    ).toContain(`Could not parse the props in ${props}`);
+    expect(
+      (await runCli(['render', invoice, '--json', '--props', '-'], '{')).stderr,
+    ).toContain('Could not parse the props in stdin');
+  });
+
+  describe('preview', () => {
+    const server = http.createServer();
+
+    beforeEach(() => {
+      createPreviewServer.mockReturnValue({ server });
+    });
+
+    afterEach((done) => {
+      if (server.listening) {
+        server.close(done);
+      } else {
+        done();
+      }
+    });
+
+    it('should start the preview server on the port', async () => {
+      const result = await runCli([
+        'preview',
+        invoice,
+        '--props',
+        directory,
+        '--fonts',
+        exampleFonts,
+        '--port',
+        '0',
+      ]);
+
+      expect(createPreviewServer).toHaveBeenCalledWith(invoice, {
+        props: directory,
+        fonts: exampleFonts,
+      });
+      expect(registerBabel).toHaveBeenCalled();
+      expect(result).toEqual({
+        exitCode: 0,
+        stdout: `Previewing ${invoice} at http://localhost:${
+          server.address().port
+        }\n`,
+        stderr: '',
+      });
+      expect(server.address().address).toBe('127.0.0.1');
+    });
+
+    it('should listen on port 3000 by default', async () => {
+      const listen = jest
+        .spyOn(server, 'listen')
+        .mockImplementation((port, host, onListening) => onListening());
+      jest.spyOn(server, 'address').mockReturnValue({ port: 3000 });
+
+      const result = await runCli(['preview', invoice, '-f', exampleFonts]);
+
+      expect(listen).toHaveBeenCalledWith(3000, '127.0.0.1', expect.anything());
+      expect(result.stdout).toContain('http://localhost:3000');
+      jest.restoreAllMocks();
+    });
+
+    it('should exit with 1 if the port is in use', async () => {
+      const other = http.createServer();
+      await new Promise((onListening) => other.listen(0, onListening));
+
+      const result = await runCli([
+        'preview',
+        invoice,
+        '-f',
+        exampleFonts,
+        '--port',
+        String(other.address().port),
+      ]);
+      other.close();
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('EADDRINUSE');
+    });
+  });
+});
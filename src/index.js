@@ -6,170 +6,1635 @@
  */
 
 // libs
+import castArray from 'lodash/castArray';
+import cloneDeep from 'lodash/cloneDeep';
+import escape from 'lodash/escape';
 import flattenDeep from 'lodash/flattenDeep';
+import get from 'lodash/get';
+import has from 'lodash/has';
+import isEmpty from 'lodash/isEmpty';
+import isEqual from 'lodash/isEqual';
 import isNil from 'lodash/isNil';
+import isObjectLike from 'lodash/isObjectLike';
+import isPlainObject from 'lodash/isPlainObject';
 import last from 'lodash/last';
 import omit from 'lodash/omit';
 import pick from 'lodash/pick';
+import pull from 'lodash/pull';
+import startsWith from 'lodash/startsWith';
+import uniq from 'lodash/uniq';
+
+import findSchemaViolations, { parentAttributes } from './schema';
 
 const isTextElement = (tag) =>
   typeof tag === 'string' || typeof tag === 'number';
+const topLevelElements = [
+  'header',
+  'content',
+  'footer',
+  'background',
+  'watermark',
+];
 const isTopLevelElement = (elementName) =>
-  ['header', 'content', 'footer'].includes(elementName);
+  topLevelElements.includes(elementName);
+// top-level elements which accept a render function as their only child
+const renderFunctionElements = new Set(['header', 'footer', 'background']);
+
+// elements which can appear anywhere in the document, including the top level
+const hoistedElements = new Set(['styles', 'watermark']);
+const isHoistedElement = (elementName) => hoistedElements.has(elementName);
+const vectorElements = ['rect', 'line', 'polyline', 'ellipse'];
+// properties which pdfmake would apply to nested text, if it didn't ignore them
+const inheritedTextProperties = [
+  'font',
+  'fontSize',
+  'fontFeatures',
+  'bold',
+  'italics',
+  'color',
+  'background',
+  'decoration',
+  'decorationStyle',
+  'decorationColor',
+  'characterSpacing',
+  'sup',
+  'sub',
+  'style',
+  'link',
+  'linkToPage',
+  'linkToDestination',
+];
+// properties implied by each of the inline text elements
+const inlineElementProperties = {
+  span: {},
+  b: { bold: true },
+  i: { italics: true },
+  u: { decoration: 'underline' },
+  s: { decoration: 'lineThrough' },
+  sup: { sup: true },
+  sub: { sub: true },
+};
+const textContainerKeys = ['stack', 'columns', 'ul', 'ol'];
+const tocAttributes = ['title', 'id', 'textStyle', 'numberStyle', 'textMargin'];
+
+const formatElementList = (elementNames) => {
+  const tags = elementNames.map((elementName) => `<${elementName}>`);
+  return `${tags.slice(0, -1).join(', ')}, and ${last(tags)}`;
+};
+
+// state belonging to a single renderPdf call, shared by every context derived from its root context
+const renderStateKey = Symbol('renderState');
+const renderFunctionKey = Symbol('renderFunction');
+const errorBoundaryElement = Symbol('ErrorBoundary');
+const componentPathKey = Symbol('componentPath');
+const pathIndexKey = Symbol('pathIndex');
+const memoElement = Symbol('memo');
+const effectsKey = Symbol('effects');
+const cacheStateKey = Symbol('cacheState');
+const parentElementKey = Symbol('parentElement');
+const sourceKey = Symbol('source');
+const siblingsKey = Symbol('siblings');
+// shared with jsx-pdf/testing, which finds nodes by the element they were rendered from
+const elementNameKey = Symbol.for('jsx-pdf.elementName');
+
+function updateContext(context, overrides) {
+  return Object.assign(context, overrides);
+}
+
+function forkContext(parentContext) {
+  return { ...parentContext };
+}
+
+const getDisplayName = (component) =>
+  component.displayName || component.name || 'Anonymous';
+
+/**
+ * Keeps track of the components and elements leading to the one being resolved, so
+ * that errors can point to where they happened, e.g. `document > content > row[3]`.
+ *
+ * The index of an element is only added when it has siblings with the same name.
+ */
+function appendToComponentPath(context, name) {
+  const { [componentPathKey]: path = [], [pathIndexKey]: index } = context;
+
+  updateContext(context, {
+    [componentPathKey]: [...path, isNil(index) ? name : `${name}[${index}]`],
+    [pathIndexKey]: undefined,
+  });
+}
+
+/**
+ * Elements created by the development JSX runtime know where they were written, and
+ * errors point to the innermost of them.
+ */
+function updateSource(context, tag) {
+  if (tag.source) {
+    updateContext(context, { [sourceKey]: tag.source });
+  }
+}
+
+function appendElementToComponentPath(resolvedTag, context) {
+  if (resolvedTag && typeof resolvedTag.elementName === 'string') {
+    updateSource(context, resolvedTag);
+    appendToComponentPath(context, resolvedTag.elementName);
+  }
+}
+
+function getPathIndexes(children) {
+  const names = children.map((child) => child && child.elementName);
+  const counts = new Map();
+  const indexes = new Map();
+
+  for (const name of names) {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+
+  return names.map((name) => {
+    const index = indexes.get(name) || 0;
+    indexes.set(name, index + 1);
+
+    return name && counts.get(name) > 1 ? index : undefined;
+  });
+}
+
+/**
+ * Errors get the path of the innermost element they were thrown from.
+ */
+function addComponentPath(err, context) {
+  if (err instanceof Error && isNil(err.componentPath)) {
+    Object.assign(err, {
+      componentPath: context[componentPathKey].join(' > '),
+    });
+
+    if (context[sourceKey]) {
+      const { fileName, lineNumber, columnNumber } = context[sourceKey];
+      Object.assign(err, {
+        componentSource: `${fileName}:${lineNumber}:${columnNumber}`,
+      });
+    }
+  }
+
+  return err;
+}
+
+function createChildContext(resolvedTag, parentContext, pathIndex) {
+  const context = forkContext(parentContext);
+  const { elementName } = resolvedTag;
+
+  context[pathIndexKey] = pathIndex;
+  // the canvas unwraps Fragments, so the shapes inside them belong to the canvas
+  context[parentElementKey] =
+    elementName === 'stack' && parentContext[parentElementKey] === 'canvas'
+      ? 'canvas'
+      : elementName;
+
+  if (renderFunctionElements.has(elementName)) {
+    context[renderFunctionKey] = true;
+  }
+
+  return context;
+}
+
+function createElement(elementName, attributes, ...children) {
+  const flatChildren = flattenDeep(children);
+  return {
+    elementName,
+    children: flatChildren,
+    attributes: attributes || {},
+  };
+}
+
+/**
+ * A function passed as the only child of a component is a render prop, which the
+ * component receives as its `children` to call with whatever it has to offer.
+ */
+function getChildrenProperty(children) {
+  return children.length === 1 && typeof children[0] === 'function'
+    ? children[0]
+    : children;
+}
+
+function callComponent(tag, context) {
+  updateSource(context, tag);
+  appendToComponentPath(context, getDisplayName(tag.elementName));
+
+  return tag.elementName(
+    {
+      ...tag.attributes,
+      children: getChildrenProperty(tag.children),
+    },
+    context,
+    updateContext.bind(null, context),
+  );
+}
+
+function resolve(tag, context) {
+  let resolvedTag = tag;
+  while (resolvedTag && typeof resolvedTag.elementName === 'function') {
+    resolvedTag = callComponent(resolvedTag, context);
+  }
+
+  return resolvedTag;
+}
+
+/**
+ * Calls the component once the concurrency limit of the render allows it, and not at
+ * all once one of its siblings, or one of the siblings of its parents, has failed.
+ */
+function callLimitedComponent(tag, context) {
+  return context[renderStateKey].limit(async () => {
+    if (haveSiblingsFailed(context)) {
+      throw new Error('Skipped the component since a sibling failed');
+    }
+
+    try {
+      const output = callComponent(tag, context);
+
+      return [await output, output instanceof Promise];
+    } catch (err) {
+      stopSiblings(context);
+      throw err;
+    }
+  });
+}
+
+/**
+ * Like resolve, but waits for async components. As before, the element an async
+ * component resolves to is used as it is.
+ */
+async function resolveAsync(tag, context) {
+  let resolvedTag = await tag;
+  let isAsync = false;
+
+  while (
+    !isAsync &&
+    resolvedTag &&
+    typeof resolvedTag.elementName === 'function'
+  ) {
+    [resolvedTag, isAsync] = await callLimitedComponent(resolvedTag, context);
+  }
+
+  return resolvedTag;
+}
+
+function unwrapTextElements(elements) {
+  if (elements.length === 1 && isTextElement(elements[0])) {
+    return elements[0];
+  }
+
+  return elements;
+}
+
+/**
+ * Fragments and components returning several shapes resolve to a plain stack,
+ * which pdfmake doesn't understand inside a canvas.
+ */
+function unwrapVectorElements(elements) {
+  return flattenDeep(
+    elements.map((element) =>
+      Object.keys(element).length === 1 && Array.isArray(element.stack)
+        ? unwrapVectorElements(element.stack)
+        : element,
+    ),
+  );
+}
+
+const createPlaceholderCells = (count) =>
+  Array.from({ length: count }, () => ({}));
+
+/**
+ * pdfmake expects every row of a table to contain a cell for each column, including
+ * the columns covered by a colSpan or rowSpan. Adds empty cells in those places, and
+ * ensures that each row ends up with the right number of columns.
+ */
+function expandTableSpans(rows, widths) {
+  // the number of rows which each column is still covered by a rowSpan for
+  const rowSpans = [];
+  // the row each of those rowSpans started in
+  const rowSpanStarts = [];
+  // a string sets the width of every column, so only an array gives their number
+  const hasWidths = Array.isArray(widths);
+  let columnCount = hasWidths ? widths.length : undefined;
+
+  const body = rows.map((row, rowIndex) => {
+    if (!Array.isArray(row)) {
+      return row;
+    }
+
+    const cells = [];
+
+    const fillSpannedColumns = () => {
+      while (rowSpans[cells.length] > 0) {
+        rowSpans[cells.length] -= 1;
+        cells.push({});
+      }
+    };
+
+    for (const cell of row) {
+      fillSpannedColumns();
+
+      const { colSpan = 1, rowSpan = 1 } = cell;
+
+      for (let column = 0; column < colSpan; column += 1) {
+        rowSpans[cells.length + column] = rowSpan - 1;
+        rowSpanStarts[cells.length + column] = rowIndex;
+      }
+
+      cells.push(cell, ...createPlaceholderCells(colSpan - 1));
+    }
+
+    fillSpannedColumns();
+
+    if (isNil(columnCount)) {
+      columnCount = cells.length;
+    } else if (cells.length !== columnCount) {
+      throw new Error(
+        `Row ${rowIndex + 1} of the <table> has ${cells.length} columns, but ${
+          hasWidths ? 'its widths specify' : 'the first row has'
+        } ${columnCount}`,
+      );
+    }
+
+    return cells;
+  });
+
+  const spannedColumn = rowSpans.findIndex((count) => count > 0);
+
+  if (spannedColumn !== -1) {
+    throw new Error(
+      `The rowSpan of the cell in row ${
+        rowSpanStarts[spannedColumn] + 1
+      } of the <table> runs past its last row`,
+    );
+  }
+
+  return body;
+}
+
+/**
+ * With the strict option, elements and attributes which don't match the schema throw,
+ * or are logged once per render when it's set to 'warn', instead of being ignored.
+ */
+function checkSchema(resolvedTag, context) {
+  const { strict, warnings } = context[renderStateKey];
+  if (!strict || !resolvedTag) {
+    return;
+  }
+
+  const violations = findSchemaViolations(
+    resolvedTag,
+    context[parentElementKey],
+  );
+  if (violations.length === 0) {
+    return;
+  }
+
+  if (strict !== 'warn') {
+    throw new Error(violations.join('\n'));
+  }
+
+  const path = context[componentPathKey].join(' > ');
+  for (const violation of violations) {
+    const warning = `${violation}\n  in ${path}`;
+    if (!warnings.has(warning)) {
+      warnings.add(warning);
+      console.warn(warning); // eslint-disable-line no-console
+    }
+  }
+}
+
+function validateTag(resolvedTag, isTopLevel) {
+  if (!resolvedTag) {
+    return null;
+  }
+
+  if (isTextElement(resolvedTag)) {
+    return resolvedTag;
+  }
+
+  const { elementName } = resolvedTag;
+
+  if (
+    !isTopLevel &&
+    isTopLevelElement(elementName) &&
+    !isHoistedElement(elementName)
+  ) {
+    throw new Error(
+      `${formatElementList(
+        topLevelElements.filter((name) => !isHoistedElement(name)),
+      )} elements can only appear as immediate descendents of the <document>`,
+    );
+  }
+
+  if (
+    isTopLevel &&
+    !isTopLevelElement(elementName) &&
+    !isHoistedElement(elementName)
+  ) {
+    throw new Error(
+      `The <document> element can only contain ${formatElementList(
+        topLevelElements,
+      )} elements but found ${elementName}`,
+    );
+  }
+
+  // eslint-disable-next-line unicorn/no-useless-undefined -- rule conflicts with `consistent-return`
+  return undefined;
+}
+
+/**
+ * Functions are render props for components, and render functions for the page, so
+ * anywhere else there's nothing to call them with.
+ */
+function validateChild(child, context) {
+  if (typeof child === 'function' && !context[renderFunctionKey]) {
+    throw new TypeError(
+      `Functions can only be passed as the only child of a component, or used inside ${formatElementList(
+        [...renderFunctionElements],
+      )} elements`,
+    );
+  }
+}
+
+function appendChildToChildren(resolvedChild, resolvedChildren) {
+  if (isTextElement(last(resolvedChildren)) && isTextElement(resolvedChild)) {
+    // If the previous child is a string
+    // and the next child is a string,
+    // join them together.
+    // eslint-disable-next-line no-param-reassign -- deliberate, this is much more performant
+    resolvedChildren[resolvedChildren.length - 1] = `${
+      resolvedChildren[resolvedChildren.length - 1]
+    }${resolvedChild}`;
+  } else if (!isNil(resolvedChild)) {
+    // Otherwise push the child onto
+    // the accumulator (as long as it's
+    // not null or undefined).
+    resolvedChildren.push(resolvedChild);
+  }
+}
+
+/**
+ * Render functions inside a <header>, <footer> or <background> are the only parts which
+ * depend on the page, so everything around them is resolved ahead of time and only the
+ * render functions are called for every page.
+ */
+function createRenderFunction(resolvedTag, resolvedChildren, context) {
+  return (...args) => {
+    const pageChildren = [];
+
+    for (const child of resolvedChildren) {
+      appendChildToChildren(
+        typeof child === 'function' ? child(...args) : child,
+        pageChildren,
+      );
+    }
+
+    return registerDestinations(
+      resolveIntrinsicChildren(resolvedTag, pageChildren, context),
+      context,
+    );
+  };
+}
+
+/**
+ * Error boundaries resolve their children like a Fragment, and render the fallback in
+ * their place when that fails. Render functions inside them are wrapped, so that errors
+ * thrown while pdfmake lays out the pages are caught as well.
+ */
+function prepareErrorBoundary(
+  { attributes, children },
+  parentContext,
+  isTopLevel,
+) {
+  if (isTopLevel) {
+    throw new Error(
+      `<ErrorBoundary> can't be used as a top level element, use it inside ${formatElementList(
+        topLevelElements,
+      )} instead`,
+    );
+  }
+
+  const { fallback = null, onError } = attributes;
+
+  const handleError = (error) => {
+    if (onError) {
+      onError(error);
+    }
+
+    return typeof fallback === 'function' ? fallback(error) : fallback;
+  };
+
+  const child =
+    children.length === 1 && typeof children[0] !== 'function'
+      ? children[0]
+      : createElement(Fragment, null, children);
+  const effects = [];
+
+  return {
+    child,
+    handleError,
+    effects,
+    context: {
+      ...forkContext(parentContext),
+      [effectsKey]: [...parentContext[effectsKey], effects],
+      // failures inside the boundary are caught, so they don't stop its siblings
+      [siblingsKey]: createSiblings(parentContext),
+    },
+  };
+}
+
+function catchRenderFunctionErrors(resolvedChild, handleError, context) {
+  if (typeof resolvedChild !== 'function') {
+    return resolvedChild;
+  }
+
+  return (...args) => {
+    try {
+      return resolvedChild(...args);
+    } catch (err) {
+      return resolveChildrenSync(handleError(err), forkContext(context));
+    }
+  };
+}
+
+function resolveErrorBoundarySync(resolvedTag, parentContext, isTopLevel) {
+  const { child, handleError, effects, context } = prepareErrorBoundary(
+    resolvedTag,
+    parentContext,
+    isTopLevel,
+  );
+
+  try {
+    const output = resolveChildrenSync(child, context);
+    mergeEffects(parentContext, effects);
+
+    return output;
+  } catch (err) {
+    discardEffects(parentContext, effects);
+
+    return resolveChildrenSync(handleError(err), forkContext(parentContext));
+  }
+}
+
+async function resolveErrorBoundary(resolvedTag, parentContext, isTopLevel) {
+  const { child, handleError, effects, context } = prepareErrorBoundary(
+    resolvedTag,
+    parentContext,
+    isTopLevel,
+  );
+
+  try {
+    const output = await resolveChildren(child, context);
+    mergeEffects(parentContext, effects);
+
+    return catchRenderFunctionErrors(output, handleError, parentContext);
+  } catch (err) {
+    discardEffects(parentContext, effects);
+
+    return resolveChildren(handleError(err), forkContext(parentContext));
+  }
+}
+
+/**
+ * Limits the number of components resolved at a time across the whole render. A slot
+ * is only held while the promise returned by a component is pending, and not while
+ * its children are resolved, so nested components never wait for each other.
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  return async (run) => {
+    if (active < concurrency) {
+      active += 1;
+    } else {
+      await new Promise((onSlot) => queue.push(onSlot));
+    }
+
+    try {
+      return await run();
+    } finally {
+      // the slot is handed straight to the next component in line
+      if (queue.length > 0) {
+        queue.shift()();
+      } else {
+        active -= 1;
+      }
+    }
+  };
+}
+
+/**
+ * Siblings are resolved concurrently, and once one of them fails the result of the
+ * others is thrown away. Their components which haven't been called yet are skipped.
+ */
+function createSiblings(parentContext) {
+  return { hasFailed: false, parent: parentContext[siblingsKey] };
+}
+
+function stopSiblings(context) {
+  const siblings = context[siblingsKey];
+
+  if (siblings) {
+    siblings.hasFailed = true;
+  }
+}
+
+function haveSiblingsFailed(context) {
+  for (
+    let siblings = context[siblingsKey];
+    siblings;
+    siblings = siblings.parent
+  ) {
+    if (siblings.hasFailed) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Resolving a subtree registers ids, link targets, styles, images and page breaks with
+ * the render. Memo components and error boundaries record these effects, so that memo
+ * components can register them again whenever their cached result is reused, and error
+ * boundaries can undo them when their subtree fails.
+ *
+ * Effects are recorded by the innermost of them, which passes its effects on to the one
+ * around it once its subtree has been resolved.
+ */
+function recordEffect(context, ...effect) {
+  const effectLists = context[effectsKey];
+
+  if (effectLists.length > 0) {
+    last(effectLists).push(effect);
+  }
+
+  // siblings which are still being resolved when a boundary fails are discarded as well
+  if (isDiscarded(context)) {
+    undoEffect(context[renderStateKey], effect);
+  }
+}
+
+function mergeEffects(context, effects) {
+  const effectLists = context[effectsKey];
+
+  if (effectLists.length > 0) {
+    last(effectLists).push(...effects);
+  }
+
+  if (isDiscarded(context)) {
+    effects.forEach((effect) => undoEffect(context[renderStateKey], effect));
+  }
+}
+
+function discardEffects(context, effects) {
+  const state = context[renderStateKey];
+
+  state.discardedEffects.add(effects);
+  effects.forEach((effect) => undoEffect(state, effect));
+}
+
+function isDiscarded(context) {
+  const { discardedEffects } = context[renderStateKey];
+
+  return context[effectsKey].some((effects) => discardedEffects.has(effects));
+}
+
+function addUsage(usages, key) {
+  usages.set(key, (usages.get(key) || 0) + 1);
+}
+
+// returns whether the last usage of the key was released
+function releaseUsage(usages, key) {
+  const count = usages.get(key) - 1;
+
+  if (count > 0) {
+    usages.set(key, count);
+    return false;
+  }
+
+  usages.delete(key);
+  return true;
+}
+
+function undoEffect(state, effect) {
+  if (state.undoneEffects.has(effect)) {
+    return;
+  }
+
+  state.undoneEffects.add(effect);
+
+  const [type, ...values] = effect;
+  const { styles, images } = state;
+
+  switch (type) {
+    case 'destination':
+      state.destinations.delete(values[0]);
+      break;
+    case 'linkTarget':
+      state.linkTargets.splice(state.linkTargets.indexOf(values[0]), 1);
+      break;
+    case 'watermark':
+      state.watermarks.splice(state.watermarks.indexOf(values[0]), 1);
+      break;
+    case 'styles':
+      for (const name of Object.keys(values[0])) {
+        if (releaseUsage(state.styleUsages, name)) {
+          delete styles[name];
+        }
+      }
+      break;
+    case 'image': {
+      const [key, source] = values;
+
+      if (releaseUsage(state.imageUsages, key)) {
+        delete images[key];
+        state.imageKeys.delete(source);
+      }
+      break;
+    }
+    default:
+      state.pageBreaks.delete(values[0]);
+  }
+}
+
+/**
+ * Components wrapped in memo resolve their subtree once for every distinct combination
+ * of props and context, and reuse a copy of the result from the render cache after that,
+ * registering the effects of the subtree again.
+ */
+function findNodePath(node, target, path = []) {
+  if (node === target) {
+    return path;
+  }
+
+  if (isObjectLike(node)) {
+    for (const [key, child] of Object.entries(node)) {
+      const childPath = findNodePath(child, target, [...path, key]);
+
+      if (childPath) {
+        return childPath;
+      }
+    }
+  }
+
+  return null;
+}
+
+function replaceImageKey(node, key, newKey) {
+  if (isObjectLike(node)) {
+    if (node.image === key) {
+      Object.assign(node, { image: newKey });
+    }
+
+    Object.values(node).forEach((child) => replaceImageKey(child, key, newKey));
+  }
+}
+
+function copyElementName(source, target) {
+  if (has(source, elementNameKey)) {
+    Object.defineProperty(target, elementNameKey, {
+      value: source[elementNameKey],
+    });
+  }
+}
+
+// cloneDeep only copies enumerable symbols, so the element names are copied separately
+function copyElementNames(source, target) {
+  if (isObjectLike(source)) {
+    copyElementName(source, target);
+
+    Object.keys(source).forEach((key) =>
+      copyElementNames(source[key], target[key]),
+    );
+  }
+
+  return target;
+}
+
+function cloneOutput(output) {
+  return copyElementNames(output, cloneDeep(output));
+}
+
+/**
+ * Render functions keep the context and the image keys of the render which created
+ * them, so subtrees which resolve to one aren't cached.
+ */
+function createMemoResult(output, effects) {
+  if (typeof output === 'function') {
+    return null;
+  }
+
+  return {
+    output: cloneOutput(output),
+    effects: effects
+      .map(([type, ...values]) =>
+        // page breaks are registered by node, so they're stored by their position
+        type === 'pageBreak'
+          ? [type, findNodePath(output, values[0])]
+          : [type, ...values],
+      )
+      .filter(([type, path]) => type !== 'pageBreak' || path),
+  };
+}
+
+function reuseMemoResult({ output: cachedOutput, effects }, context) {
+  const output = cloneOutput(cachedOutput);
+
+  for (const [type, ...values] of effects) {
+    switch (type) {
+      case 'destination':
+        registerDestination(context, values[0]);
+        break;
+      case 'linkTarget':
+        registerLinkTarget(context, values[0]);
+        break;
+      case 'watermark':
+        registerWatermark(context, values[0]);
+        break;
+      case 'styles':
+        registerStyles(context, values[0]);
+        break;
+      case 'image': {
+        const [key, source] = values;
+        const newKey = registerImage(context, source);
+
+        if (newKey !== key) {
+          replaceImageKey(output, key, newKey);
+        }
+        break;
+      }
+      default: {
+        const [path] = values;
+        registerPageBreak(
+          context,
+          path.length > 0 ? get(output, path) : output,
+        );
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * The entries of each component are grouped by their primitive props, so that finding
+ * an entry only compares the entries which are likely to match.
+ */
+function getBucketKey(props, areEqual, testMode) {
+  // a custom areEqual may consider props equal no matter how they differ
+  if (areEqual !== isEqual) {
+    return `${testMode}`;
+  }
+
+  const signature = Object.keys(props)
+    .sort()
+    .map((name) => {
+      const value = props[name];
+
+      return isObjectLike(value) || typeof value === 'function'
+        ? [name]
+        : [name, typeof value, String(value)];
+    });
+
+  return JSON.stringify([testMode, signature]);
+}
+
+function findBucket(cache, component, key) {
+  const componentBuckets = cache[cacheStateKey].buckets.get(component);
+
+  return (componentBuckets && componentBuckets.get(key)) || [];
+}
+
+function getBucket(cache, component, key) {
+  const { buckets } = cache[cacheStateKey];
+
+  if (!buckets.has(component)) {
+    buckets.set(component, new Map());
+  }
+
+  const componentBuckets = buckets.get(component);
+
+  if (!componentBuckets.has(key)) {
+    componentBuckets.set(key, []);
+  }
+
+  return componentBuckets.get(key);
+}
+
+// the entries are kept in the order they were last used in, to evict the oldest first
+function useEntry(cache, entry) {
+  const { recentEntries } = cache[cacheStateKey];
+
+  recentEntries.delete(entry);
+  recentEntries.add(entry);
+}
+
+function removeEntry(cache, entry) {
+  const { buckets, recentEntries } = cache[cacheStateKey];
+  const { component, bucketKey } = entry;
+
+  // entries which fail after they were evicted are already gone
+  if (!recentEntries.delete(entry)) {
+    return;
+  }
+
+  const componentBuckets = buckets.get(component);
+  const bucket = componentBuckets.get(bucketKey);
+  pull(bucket, entry);
+
+  if (bucket.length === 0) {
+    componentBuckets.delete(bucketKey);
+  }
+
+  if (componentBuckets.size === 0) {
+    buckets.delete(component);
+  }
+}
+
+function addEntry(cache, entry) {
+  const { recentEntries, maxEntries } = cache[cacheStateKey];
+
+  getBucket(cache, entry.component, entry.bucketKey).push(entry);
+  useEntry(cache, entry);
+
+  if (recentEntries.size > maxEntries) {
+    removeEntry(cache, recentEntries.values().next().value);
+  }
+}
+
+function prepareMemo({ attributes }, parentContext, isTopLevel) {
+  if (isTopLevel) {
+    throw new Error(
+      `Memo components can't be used as top level elements, use them inside ${formatElementList(
+        topLevelElements,
+      )} instead`,
+    );
+  }
+
+  const { component, areEqual, props } = attributes;
+  const { cache } = parentContext[renderStateKey];
+
+  const {
+    [renderStateKey]: state,
+    [componentPathKey]: path,
+    [pathIndexKey]: pathIndex,
+    [effectsKey]: parentEffects,
+    [parentElementKey]: parentElement,
+    [sourceKey]: source,
+    [siblingsKey]: siblings,
+    ...contextValues
+  } = parentContext;
+
+  // results rendered in test mode hold on to their testIds, so they are kept apart
+  const bucketKey = getBucketKey(props, areEqual, state.testMode);
+  const effects = [];
+
+  return {
+    cache,
+    findEntry: (isResolved) => {
+      const entry = findBucket(cache, component, bucketKey).find(
+        (candidate) =>
+          (!isResolved || candidate.result) &&
+          areEqual(candidate.props, props) &&
+          isEqual(candidate.contextValues, contextValues),
+      );
+
+      if (entry) {
+        useEntry(cache, entry);
+      }
+
+      return entry;
+    },
+    createEntry: () => ({ component, bucketKey, props, contextValues }),
+    element: {
+      elementName: component,
+      attributes: omit(props, 'children'),
+      children: castArray(props.children),
+    },
+    effects,
+    context: {
+      ...parentContext,
+      [effectsKey]: [...parentEffects, effects],
+      // other elements can wait for the result, so it's resolved even if siblings fail
+      [siblingsKey]: undefined,
+    },
+  };
+}
+
+function resolveMemoSync(resolvedTag, parentContext, isTopLevel) {
+  const memoized = prepareMemo(resolvedTag, parentContext, isTopLevel);
+  const { cache } = memoized;
+
+  // entries which are still being resolved asynchronously can't be waited for
+  const entry = memoized.findEntry(true);
+
+  if (entry) {
+    cache.hits += 1;
+    return reuseMemoResult(entry.result, parentContext);
+  }
+
+  cache.misses += 1;
+
+  try {
+    const output = resolveChildrenSync(memoized.element, memoized.context);
+    const result = createMemoResult(output, memoized.effects);
+
+    if (result) {
+      addEntry(cache, { ...memoized.createEntry(), result });
+    }
+
+    return output;
+  } finally {
+    mergeEffects(parentContext, memoized.effects);
+  }
+}
+
+async function resolveMemo(resolvedTag, parentContext, isTopLevel) {
+  const memoized = prepareMemo(resolvedTag, parentContext, isTopLevel);
+  const { cache } = memoized;
+  const entry = memoized.findEntry(false);
+  // the error of an entry which fails belongs to the element resolving it, the
+  // elements waiting for it resolve the subtree themselves instead
+  const cachedResult =
+    entry &&
+    (entry.result ||
+      (await entry.pending.then(
+        (pending) => pending.result,
+        () => null,
+      )));
+
+  if (cachedResult) {
+    cache.hits += 1;
+    return reuseMemoResult(cachedResult, parentContext);
+  }
+
+  cache.misses += 1;
+
+  // siblings with the same props wait for this entry instead of resolving it again
+  const newEntry = memoized.createEntry();
+  newEntry.pending = resolveChildren(memoized.element, memoized.context).then(
+    (output) => ({
+      output,
+      result: createMemoResult(output, memoized.effects),
+    }),
+  );
+  addEntry(cache, newEntry);
+
+  try {
+    const { output, result } = await newEntry.pending;
+
+    if (result) {
+      newEntry.result = result;
+    } else {
+      removeEntry(cache, newEntry);
+    }
+
+    return output;
+  } catch (err) {
+    removeEntry(cache, newEntry);
+    throw err;
+  } finally {
+    mergeEffects(parentContext, memoized.effects);
+  }
+}
+
+/**
+ * a variant of {@link resolveChildren} which does not support async components
+ */
+function resolveChildrenSync(tag, parentContext, isTopLevel) {
+  try {
+    const resolvedTag = resolve(tag, parentContext);
+    appendElementToComponentPath(resolvedTag, parentContext);
+
+    if (resolvedTag instanceof Promise) {
+      throw new TypeError(
+        'Async components are not permitted in a synchronous context',
+      );
+    }
+
+    if (resolvedTag && resolvedTag.elementName === errorBoundaryElement) {
+      return resolveErrorBoundarySync(resolvedTag, parentContext, isTopLevel);
+    }
+
+    if (resolvedTag && resolvedTag.elementName === memoElement) {
+      return resolveMemoSync(resolvedTag, parentContext, isTopLevel);
+    }
+
+    checkSchema(resolvedTag, parentContext);
+    const result = validateTag(resolvedTag, isTopLevel);
+    if (result !== undefined) return result;
+
+    const { children = [] } = resolvedTag;
+
+    const resolvedChildren = [];
+
+    const pathIndexes = getPathIndexes(children);
+
+    for (const [index, child] of children.entries()) {
+      const childContext = createChildContext(
+        resolvedTag,
+        parentContext,
+        pathIndexes[index],
+      );
+      validateChild(child, childContext);
+
+      const resolvedChild = resolveChildrenSync(child, childContext, false);
+
+      appendChildToChildren(resolvedChild, resolvedChildren);
+    }
+
+    return registerDestinations(
+      resolveIntrinsicChildren(resolvedTag, resolvedChildren, parentContext),
+      parentContext,
+    );
+  } catch (err) {
+    throw addComponentPath(err, parentContext);
+  }
+}
+
+async function resolveChildren(tag, parentContext, isTopLevel) {
+  try {
+    const resolvedTag = await resolveAsync(tag, parentContext);
+    appendElementToComponentPath(resolvedTag, parentContext);
+
+    if (resolvedTag && resolvedTag.elementName === errorBoundaryElement) {
+      return resolveErrorBoundary(resolvedTag, parentContext, isTopLevel);
+    }
+
+    if (resolvedTag && resolvedTag.elementName === memoElement) {
+      return resolveMemo(resolvedTag, parentContext, isTopLevel);
+    }
+
+    checkSchema(resolvedTag, parentContext);
+    const result = validateTag(resolvedTag, isTopLevel);
+    if (result !== undefined) return result;
+
+    const { elementName, children = [], attributes } = resolvedTag;
+
+    if (
+      elementName === 'watermark' &&
+      children.length === 1 &&
+      typeof children[0] === 'function'
+    ) {
+      return registerWatermark(parentContext, (currentPage, pageSize) => {
+        const text = resolveChildrenSync(
+          children[0](currentPage, pageSize),
+          createChildContext(resolvedTag, parentContext),
+        );
+
+        return isTextElement(text)
+          ? createWatermarkSvg({ ...attributes, text: `${text}` }, pageSize)
+          : null;
+      });
+    }
+
+    const pathIndexes = getPathIndexes(children);
+
+    const siblings = createSiblings(parentContext);
+
+    const results = await Promise.all(
+      children.map(async (child, index) => {
+        const childContext = createChildContext(
+          resolvedTag,
+          parentContext,
+          pathIndexes[index],
+        );
+        childContext[siblingsKey] = siblings;
+
+        try {
+          validateChild(child, childContext);
+
+          return typeof child === 'function'
+            ? (...args) =>
+                resolveChildrenSync(child(...args), forkContext(childContext))
+            : await resolveChildren(await child, childContext, false);
+        } catch (err) {
+          stopSiblings(childContext);
+          throw err;
+        }
+      }),
+    );
+
+    const resolvedChildren = [];
+
+    for (const resolvedChild of results) {
+      appendChildToChildren(resolvedChild, resolvedChildren);
+    }
+
+    if (resolvedChildren.some((child) => typeof child === 'function')) {
+      return createRenderFunction(resolvedTag, resolvedChildren, parentContext);
+    }
+
+    return registerDestinations(
+      resolveIntrinsicChildren(resolvedTag, resolvedChildren, parentContext),
+      parentContext,
+    );
+  } catch (err) {
+    throw addComponentPath(err, parentContext);
+  }
+}
+
+/**
+ * Adds style definitions to the document, ensuring that styles contributed by
+ * different components don't silently override each other.
+ */
+function registerStyles(context, styles = {}) {
+  const { styles: registeredStyles, styleUsages } = context[renderStateKey];
+
+  for (const [name, definition] of Object.entries(styles)) {
+    if (
+      has(registeredStyles, name) &&
+      !isEqual(registeredStyles[name], definition)
+    ) {
+      throw new Error(`Found conflicting definitions for the "${name}" style`);
+    }
+  }
+
+  for (const [name, definition] of Object.entries(styles)) {
+    registeredStyles[name] = definition;
+    addUsage(styleUsages, name);
+  }
+
+  recordEffect(context, 'styles', styles);
+}
+
+/**
+ * A <watermark> below the top level replaces the watermark of the whole document, so
+ * that components deep in the tree can decide on it. Only one watermark can win, so
+ * watermarks below the top level which differ from each other throw an error.
+ */
+function registerWatermark(context, watermark) {
+  if (context[parentElementKey] === 'document') {
+    return watermark;
+  }
+
+  const state = context[renderStateKey];
+
+  if (state.isComplete) {
+    throw new Error(
+      "A <watermark> can't be used inside a render function, since the watermark of the document has already been decided. Pass a render function as the only child of the <watermark> to change it from page to page instead",
+    );
+  }
+
+  if (state.watermarks.some((other) => !isEqual(other, watermark))) {
+    throw new Error(
+      'Found conflicting <watermark> elements below the top level of the <document>',
+    );
+  }
 
-function updateContext(context, overrides) {
-  return Object.assign(context, overrides);
-}
+  state.watermarks.push(watermark);
+  recordEffect(context, 'watermark', watermark);
 
-function createContext(parentContext = {}) {
-  return { ...parentContext };
+  return null;
 }
 
-function createElement(elementName, attributes, ...children) {
-  const flatChildren = flattenDeep(children);
-  return {
-    elementName,
-    children: flatChildren,
-    attributes: attributes || {},
-  };
+/* eslint-disable no-bitwise -- deliberate, this is a hash function */
+// FNV-1a, which gives each image a key that doesn't depend on the order the images are rendered in
+function hashString(string) {
+  let hash = 2166136261; // FNV offset basis
+
+  for (let index = 0; index < string.length; index += 1) {
+    hash ^= string.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return (hash >>> 0).toString(36);
 }
+/* eslint-enable no-bitwise */
 
-function resolve(tag, context) {
-  let resolvedTag = tag;
-  while (resolvedTag && typeof resolvedTag.elementName === 'function') {
-    resolvedTag = resolvedTag.elementName(
-      { ...resolvedTag.attributes, children: resolvedTag.children },
-      context,
-      updateContext.bind(null, context),
-    );
+/**
+ * Moves image sources into the images dictionary of the document, so that an image
+ * which is used many times is only included in the document definition once.
+ */
+function registerImage(context, source) {
+  const state = context[renderStateKey];
+  const { images, imageKeys } = state;
+
+  if (typeof source !== 'string' || has(images, source)) {
+    return source;
   }
 
-  return resolvedTag;
+  if (imageKeys.has(source)) {
+    const key = imageKeys.get(source);
+    addUsage(state.imageUsages, key);
+    recordEffect(context, 'image', key, source);
+
+    return key;
+  }
+
+  if (state.isComplete) {
+    // the document definition has already been returned, so any new images
+    // found by a render function have to stay inline
+    return source;
+  }
+
+  const hash = hashString(source);
+  let key = `image-${hash}`;
+
+  for (let suffix = 1; has(images, key); suffix += 1) {
+    key = `image-${hash}-${suffix}`;
+  }
+
+  images[key] = source;
+  imageKeys.set(source, key);
+  addUsage(state.imageUsages, key);
+  recordEffect(context, 'image', key, source);
+
+  return key;
 }
 
-function unwrapTextElements(elements) {
-  if (elements.length === 1 && isTextElement(elements[0])) {
-    return elements[0];
+const mergeTextProperties = (parent, child) => {
+  const merged = { ...parent, ...child };
+
+  // decorations and styles can be combined rather than replaced
+  for (const key of ['decoration', 'style']) {
+    if (!isNil(parent[key]) && !isNil(child[key])) {
+      merged[key] = uniq(flattenDeep([parent[key], child[key]]));
+    }
   }
 
-  return elements;
+  return merged;
+};
+
+/**
+ * pdfmake ignores the properties of text which is nested inside other text, so the
+ * properties of inline elements are copied onto each piece of text they contain.
+ */
+function createInlineText(children, properties) {
+  if (children.every((child) => isTextElement(child))) {
+    return { text: unwrapTextElements(children), ...properties };
+  }
+
+  const applyProperties = (child, inheritedProperties) => {
+    if (isTextElement(child)) {
+      return { text: child, ...inheritedProperties };
+    }
+
+    const childProperties = mergeTextProperties(inheritedProperties, child);
+
+    if (!Array.isArray(child.text)) {
+      return childProperties;
+    }
+
+    return {
+      ...childProperties,
+      text: child.text.map((grandchild) =>
+        applyProperties(
+          grandchild,
+          pick(childProperties, inheritedTextProperties),
+        ),
+      ),
+    };
+  };
+
+  return {
+    text: children.map((child) =>
+      applyProperties(child, pick(properties, inheritedTextProperties)),
+    ),
+    ...properties,
+  };
 }
 
-function validateTag(resolvedTag, isTopLevel) {
-  if (!resolvedTag) {
-    return null;
+function findFirstTextIn(nodes) {
+  for (const [index, node] of nodes.entries()) {
+    if (isTextElement(node)) {
+      // eslint-disable-next-line no-param-reassign -- the text needs to become an object to hold the id
+      nodes[index] = { text: node };
+      return nodes[index];
+    }
+
+    const text = findFirstText(node);
+    if (text) {
+      return text;
+    }
   }
 
-  if (isTextElement(resolvedTag)) {
-    return resolvedTag;
+  return null;
+}
+
+function findFirstText(node) {
+  if (Array.isArray(node)) {
+    return findFirstTextIn(node);
   }
 
-  const { elementName } = resolvedTag;
+  if (has(node, 'text')) {
+    return node;
+  }
 
-  if (!isTopLevel && isTopLevelElement(elementName)) {
-    throw new Error(
-      '<header>, <content> and <footer> elements can only appear as immediate descendents of the <document>',
-    );
+  if (node.table) {
+    return findFirstTextIn(node.table.body);
   }
 
-  if (isTopLevel && !isTopLevelElement(elementName)) {
-    throw new Error(
-      `The <document> element can only contain <header>, <content>, and <footer> elements but found ${elementName}`,
-    );
+  const key = textContainerKeys.find((containerKey) =>
+    Array.isArray(node[containerKey]),
+  );
+  return key ? findFirstTextIn(node[key]) : null;
+}
+
+function registerDestination(context, id) {
+  const { destinations } = context[renderStateKey];
+
+  if (destinations.has(id)) {
+    throw new Error(`Found more than one element with the id "${id}"`);
   }
 
-  // eslint-disable-next-line unicorn/no-useless-undefined -- rule conflicts with `consistent-return`
-  return undefined;
+  destinations.add(id);
+  recordEffect(context, 'destination', id);
 }
 
-function appendChildToChildren(resolvedChild, resolvedChildren) {
-  if (isTextElement(last(resolvedChildren)) && isTextElement(resolvedChild)) {
-    // If the previous child is a string
-    // and the next child is a string,
-    // join them together.
-    // eslint-disable-next-line no-param-reassign -- deliberate, this is much more performant
-    resolvedChildren[resolvedChildren.length - 1] = `${
-      resolvedChildren[resolvedChildren.length - 1]
-    }${resolvedChild}`;
-  } else if (!isNil(resolvedChild)) {
-    // Otherwise push the child onto
-    // the accumulator (as long as it's
-    // not null or undefined).
-    resolvedChildren.push(resolvedChild);
+function registerLinkTarget(context, target) {
+  context[renderStateKey].linkTargets.push(target);
+  recordEffect(context, 'linkTarget', target);
+}
+
+// the attributes which place an element on the page, and so move onto an anchor's wrapper
+const placementAttributes = uniq([
+  ...Object.values(parentAttributes).flatMap((attributes) =>
+    Object.keys(attributes),
+  ),
+  'margin',
+  'marginLeft',
+  'marginTop',
+  'marginRight',
+  'marginBottom',
+  'pageBreak',
+  'pageOrientation',
+  'headlineLevel',
+  'unbreakable',
+  'absolutePosition',
+  'relativePosition',
+]);
+
+/**
+ * Elements without any text get the id on a blank text placed at their top left corner,
+ * which is taken out of the flow so that it doesn't change the layout.
+ */
+function anchorDestination(node, container, id) {
+  const anchor = { text: ' ', id, relativePosition: { x: 0, y: 0 } };
+
+  // page breaks are tracked by identity, so stacks keep their node and take the anchor
+  if (Array.isArray(node.stack)) {
+    /* eslint-disable no-param-reassign -- see above */
+    delete node.id;
+    node.stack = [anchor, ...node.stack];
+    /* eslint-enable no-param-reassign */
+    return node;
   }
+
+  const element = omit(container, placementAttributes);
+  copyElementName(node, element);
+
+  return { ...pick(container, placementAttributes), stack: [anchor, element] };
 }
 
 /**
- * a variant of {@link resolveChildren} which does not support async components
+ * Keeps track of the ids and the links to them, so that links to missing ids can be
+ * reported once the whole document has been rendered.
+ *
+ * pdfmake only creates destinations for text, so the id of any other element is moved
+ * onto the first text it contains, or onto an anchor when it contains none.
  */
-function resolveChildrenSync(tag, parentContext, isTopLevel) {
-  const resolvedTag = resolve(tag, parentContext);
+function registerDestinations(node, context) {
+  const state = context[renderStateKey];
 
-  if (resolvedTag instanceof Promise) {
-    throw new TypeError(
-      'Async components are not permitted in a synchronous context',
-    );
+  // render functions are called once per page, after the links have been checked
+  if (!node || state.isComplete) {
+    return node;
+  }
+
+  if (node.linkToDestination) {
+    registerLinkTarget(context, node.linkToDestination);
   }
 
-  const result = validateTag(resolvedTag, isTopLevel);
-  if (result !== undefined) return result;
+  if (isNil(node.id)) {
+    return node;
+  }
 
-  const { children = [] } = resolvedTag;
+  const { id } = node;
 
-  const resolvedChildren = [];
+  registerDestination(context, id);
 
-  for (const child of children) {
-    const resolvedChild = resolveChildrenSync(
-      child,
-      createContext(parentContext),
-      false,
-    );
+  if (has(node, 'text')) {
+    return node;
+  }
+
+  const container = omit(node, 'id');
+  copyElementName(node, container);
+  const text = findFirstText(container);
+
+  if (!text) {
+    return anchorDestination(node, container, id);
+  }
 
-    appendChildToChildren(resolvedChild, resolvedChildren);
+  if (!isNil(text.id)) {
+    throw new Error(
+      `The id "${id}" can't be used since the first text inside it already has the id "${text.id}"`,
+    );
   }
 
-  return resolveIntrinsicChildren(resolvedTag, resolvedChildren);
+  text.id = id;
+  return container;
 }
 
-async function resolveChildren(tag, parentContext, isTopLevel) {
-  const resolvedTag = await resolve(tag, parentContext);
+/**
+ * Page breaks created by <pageBreak> and <section> elements are only kept when there's
+ * content on both sides of them, see collapsePageBreaks.
+ */
+function registerPageBreak(context, node) {
+  context[renderStateKey].pageBreaks.add(node);
+  recordEffect(context, 'pageBreak', node);
+
+  return node;
+}
+
+/**
+ * Walks the content in the order it will be laid out, dropping the page breaks which
+ * would otherwise produce blank pages: those at the very start or end of the document,
+ * and all but the last of several breaks in a row. The breaks after sections, the only
+ * ones which come after their content, return to the orientation which applied before
+ * the section.
+ *
+ * Returns the orientation of the first page when a dropped leading break changed it.
+ */
+function collapsePageBreaks(content, pageBreaks, documentOrientation) {
+  let hasContent = false;
+  let pendingBreak = null;
+  let firstPageOrientation;
+  let orientation = documentOrientation;
 
-  const result = validateTag(resolvedTag, isTopLevel);
-  if (result !== undefined) return result;
+  const changeOrientation = (node, position) => {
+    if (node.pageOrientation && startsWith(node.pageBreak, position)) {
+      orientation = node.pageOrientation;
+    }
+  };
 
-  const { elementName, children = [], attributes } = resolvedTag;
+  const dropPendingBreak = () => {
+    delete pendingBreak.pageBreak;
+    delete pendingBreak.pageOrientation;
+    pendingBreak = null;
+  };
 
-  if (
-    ['header', 'footer'].includes(elementName) &&
-    children.length === 1 &&
-    typeof children[0] === 'function'
-  ) {
-    return (...args) => ({
-      stack: [
-        resolveChildrenSync(children[0](...args), createContext(parentContext)),
-      ],
-      ...attributes,
-    });
-  }
+  const addBreak = (node) => {
+    if (pendingBreak) {
+      // the last break in a row decides the orientation of the next page
+      if (isNil(node.pageOrientation) && pendingBreak.pageOrientation) {
+        Object.assign(node, { pageOrientation: pendingBreak.pageOrientation });
+      }
+      dropPendingBreak();
+    }
+    pendingBreak = node;
+  };
 
-  const resolvedChildren = [];
+  const addContent = () => {
+    if (pendingBreak && !hasContent) {
+      firstPageOrientation = pendingBreak.pageOrientation;
+      dropPendingBreak();
+    }
+    pendingBreak = null;
+    hasContent = true;
+  };
 
-  for (const child of children) {
-    const resolvedChild = await resolveChildren(
-      await child,
-      createContext(parentContext),
-      false,
-    );
+  const visit = (node) => {
+    if (isNil(node)) {
+      return;
+    }
+
+    if (!Array.isArray(node.stack)) {
+      changeOrientation(node, 'before');
+      addContent();
+      changeOrientation(node, 'after');
+      return;
+    }
+
+    const isPageBreak = pageBreaks.has(node);
+    const previousOrientation = orientation;
+
+    if (isPageBreak && node.pageBreak === 'before') {
+      addBreak(node);
+    }
+    changeOrientation(node, 'before');
+
+    node.stack.forEach((child) => visit(child));
 
-    appendChildToChildren(resolvedChild, resolvedChildren);
+    if (isPageBreak && node.pageBreak === 'after') {
+      Object.assign(node, { pageOrientation: previousOrientation });
+      addBreak(node);
+    }
+    changeOrientation(node, 'after');
+  };
+
+  visit(content);
+
+  if (pendingBreak) {
+    dropPendingBreak();
   }
 
-  return resolveIntrinsicChildren(resolvedTag, resolvedChildren);
+  return firstPageOrientation;
 }
 
-function resolveIntrinsicChildren(resolvedTag, resolvedChildren) {
-  const { elementName, attributes } = resolvedTag;
-
+function createNode(elementName, attributes, resolvedChildren, context) {
   /**
    * This is the meat. If you're in this file, you're probably looking for this.
    *
@@ -179,6 +1644,7 @@ function resolveIntrinsicChildren(resolvedTag, resolvedChildren) {
     case 'header':
     case 'content':
     case 'footer':
+    case 'background':
     case 'stack':
     case 'column':
     case 'cell':
@@ -190,8 +1656,47 @@ function resolveIntrinsicChildren(resolvedTag, resolvedChildren) {
       };
     case 'columns':
       return { columns: resolvedChildren, ...attributes };
+    case 'span':
+    case 'b':
+    case 'i':
+    case 'u':
+    case 's':
+    case 'sup':
+    case 'sub':
+      return createInlineText(
+        resolvedChildren,
+        mergeTextProperties(inlineElementProperties[elementName], attributes),
+      );
+    case 'link': {
+      const { href, page, to } = attributes;
+      const linkProperties = {
+        ...(!isNil(href) && { link: href }),
+        ...(!isNil(page) && { linkToPage: page }),
+        ...(!isNil(to) && { linkToDestination: to }),
+      };
+
+      if (isEmpty(linkProperties)) {
+        throw new Error(
+          'The <link> element needs an href, page or to attribute',
+        );
+      }
+
+      const properties = {
+        ...linkProperties,
+        ...omit(attributes, ['href', 'page', 'to']),
+      };
+
+      if (resolvedChildren.length === 1 && has(resolvedChildren[0], 'image')) {
+        return { ...resolvedChildren[0], ...properties };
+      }
+
+      return createInlineText(resolvedChildren, properties);
+    }
     case 'image':
-      return { image: attributes.src, ...omit(attributes, 'src') };
+      return {
+        image: registerImage(context, attributes.src),
+        ...omit(attributes, 'src'),
+      };
     case 'svg':
       return { svg: attributes.content, ...omit(attributes, 'content') };
     case 'qr':
@@ -199,7 +1704,7 @@ function resolveIntrinsicChildren(resolvedTag, resolvedChildren) {
     case 'table':
       return {
         table: {
-          body: resolvedChildren,
+          body: expandTableSpans(resolvedChildren, attributes.widths),
           ...pick(attributes, ['headerRows', 'widths']),
         },
         ...omit(attributes, ['headerRows', 'widths']),
@@ -210,6 +1715,75 @@ function resolveIntrinsicChildren(resolvedTag, resolvedChildren) {
       return { ul: resolvedChildren, ...attributes };
     case 'ol':
       return { ol: resolvedChildren, ...attributes };
+    case 'canvas': {
+      const canvas = unwrapVectorElements(resolvedChildren);
+
+      if (!canvas.every((child) => vectorElements.includes(child.type))) {
+        throw new Error(
+          `The <canvas> element can only contain ${formatElementList(
+            vectorElements,
+          )} elements`,
+        );
+      }
+
+      return { canvas, ...attributes };
+    }
+    case 'rect':
+    case 'line':
+    case 'polyline':
+    case 'ellipse':
+      return { type: elementName, ...attributes };
+    case 'toc':
+      if (resolvedChildren.length > 0 && !isNil(attributes.title)) {
+        throw new Error(
+          'The <toc> element takes its title either from the title attribute or from its children, not both',
+        );
+      }
+
+      return {
+        toc: {
+          ...(resolvedChildren.length > 0 && {
+            title:
+              resolvedChildren.length === 1
+                ? resolvedChildren[0]
+                : { stack: resolvedChildren },
+          }),
+          ...pick(attributes, tocAttributes),
+        },
+        ...omit(attributes, tocAttributes),
+      };
+    case 'watermark':
+      return registerWatermark(context, {
+        text: resolvedChildren.filter((child) => isTextElement(child)).join(''),
+        ...attributes,
+      });
+    case 'pageBreak':
+      return registerPageBreak(context, {
+        stack: [],
+        ...attributes,
+        pageBreak: 'before',
+      });
+    case 'section': {
+      if (!isNil(attributes.pageSize)) {
+        throw new Error(
+          'The <section> element can only change the pageOrientation, pdfmake uses the same pageSize for the whole document',
+        );
+      }
+
+      const section = registerDestinations(
+        { stack: resolvedChildren, ...attributes, pageBreak: 'before' },
+        context,
+      );
+
+      // the orientation to return to is only known once the content is laid out
+      return registerPageBreak(context, {
+        stack: [registerPageBreak(context, section)],
+        pageBreak: 'after',
+      });
+    }
+    case 'styles':
+      registerStyles(context, attributes);
+      return null;
     case 'document':
       throw new Error('<document> can only appear as the root element');
     default:
@@ -217,13 +1791,142 @@ function resolveIntrinsicChildren(resolvedTag, resolvedChildren) {
   }
 }
 
+/**
+ * The testId attribute is only kept in test mode, where every node also records the
+ * element it was rendered from.
+ */
+function resolveIntrinsicChildren(resolvedTag, resolvedChildren, context) {
+  const { elementName, attributes } = resolvedTag;
+  const { testMode } = context[renderStateKey];
+
+  const node = createNode(
+    elementName,
+    testMode ? attributes : omit(attributes, 'testId'),
+    resolvedChildren,
+    context,
+  );
+
+  // not enumerable, so that it doesn't show up when comparing nodes in tests
+  if (testMode && isPlainObject(node)) {
+    Object.defineProperty(node, elementNameKey, { value: elementName });
+  }
+
+  return node;
+}
+
+/**
+ * pdfmake only supports a single watermark for the whole document, so watermarks
+ * which change from page to page are drawn as an SVG in the page background instead.
+ *
+ * Mirrors the defaults pdfmake uses for its own watermarks, except that the font size
+ * has to be estimated since the font metrics aren't available at this point.
+ */
+function createWatermarkSvg(
+  {
+    text,
+    font,
+    fontSize,
+    color = 'black',
+    opacity = 0.6,
+    bold = false,
+    italics = false,
+    angle,
+  },
+  { width, height },
+) {
+  const rotation = isNil(angle)
+    ? (Math.atan2(height, width) * -180) / Math.PI
+    : angle;
+  const radians = (rotation * Math.PI) / 180;
+  const sin = Math.abs(Math.sin(radians));
+  const cos = Math.abs(Math.cos(radians));
+  // assume an average glyph is a little over half as wide as it is tall
+  const textWidth = text.length * 0.55;
+  const size =
+    fontSize ||
+    Math.min(width / (textWidth * cos + sin), height / (textWidth * sin + cos));
+
+  const textAttributes = [
+    `x="${width / 2}"`,
+    `y="${height / 2}"`,
+    'dy="0.35em"',
+    'text-anchor="middle"',
+    font && `font-family="${escape(font)}"`,
+    `font-size="${size}"`,
+    bold && 'font-weight="bold"',
+    italics && 'font-style="italic"',
+    `fill="${escape(color)}"`,
+    `fill-opacity="${opacity}"`,
+    `transform="rotate(${rotation} ${width / 2} ${height / 2})"`,
+  ].filter(Boolean);
+
+  return {
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><text ${textAttributes.join(
+      ' ',
+    )}>${escape(text)}</text></svg>`,
+    width,
+    height,
+    absolutePosition: { x: 0, y: 0 },
+  };
+}
+
 /*
  * Recursively traverse the JSON component tree created by the createElement calls,
  * resolving components from the bottom up.
  */
-async function renderPdf(tag) {
-  const context = createContext();
-  const resolvedTag = await resolve(tag, context);
+async function renderPdf(
+  tag,
+  {
+    concurrency = Infinity,
+    cache = createRenderCache(),
+    strict = false,
+    testMode = false,
+  } = {},
+) {
+  if (
+    !(Number.isInteger(concurrency) && concurrency > 0) &&
+    concurrency !== Infinity
+  ) {
+    throw new TypeError(
+      `The concurrency option must be a positive integer or Infinity, received ${concurrency}`,
+    );
+  }
+
+  if (!cache || !cache[cacheStateKey]) {
+    throw new TypeError(
+      'The cache option must be created with JsxPdf.createRenderCache()',
+    );
+  }
+
+  if (typeof strict !== 'boolean' && strict !== 'warn') {
+    throw new TypeError(
+      `The strict option must be true, false or 'warn', received ${strict}`,
+    );
+  }
+
+  const context = forkContext({
+    [effectsKey]: [],
+    [renderStateKey]: {
+      styles: {},
+      styleUsages: new Map(),
+      images: {},
+      imageKeys: new Map(),
+      imageUsages: new Map(),
+      destinations: new Set(),
+      linkTargets: [],
+      watermarks: [],
+      pageBreaks: new Set(),
+      discardedEffects: new WeakSet(),
+      undoneEffects: new WeakSet(),
+      limit: createLimiter(concurrency),
+      cache,
+      strict,
+      warnings: new Set(),
+      testMode,
+      isComplete: false,
+    },
+  });
+  const resolvedTag = await resolveAsync(tag, context);
   const { children, elementName, attributes } = resolvedTag;
 
   if (elementName !== 'document') {
@@ -232,28 +1935,254 @@ async function renderPdf(tag) {
     );
   }
 
+  appendToComponentPath(context, elementName);
+
+  try {
+    checkSchema(resolvedTag, context);
+  } catch (err) {
+    throw addComponentPath(err, context);
+  }
+
   const result = {};
   const isTopLevel = true;
 
-  for (const child of children) {
-    const resolvedChild = await resolve(await child, context);
-    result[resolvedChild.elementName] = await resolveChildren(
-      resolvedChild,
+  const state = context[renderStateKey];
+
+  registerStyles(context, attributes.styles);
+  Object.assign(state.images, attributes.images);
+
+  const pathIndexes = getPathIndexes(children);
+
+  const resolvedChildren = [];
+  const siblings = createSiblings(context);
+
+  // the components of the top level elements are resolved one after the other, so
+  // that the context they update is passed on to the top level elements after them
+  for (const [index, child] of children.entries()) {
+    const childContext = createChildContext(
+      resolvedTag,
       context,
-      isTopLevel,
+      pathIndexes[index],
+    );
+    childContext[siblingsKey] = siblings;
+
+    try {
+      const resolvedChild = await resolveAsync(child, childContext);
+
+      if (resolvedChild) {
+        resolvedChildren.push([resolvedChild, childContext]);
+      }
+    } catch (err) {
+      throw addComponentPath(err, childContext);
+    }
+
+    // only the keys of updateContext, values provided by contexts stay inside the element
+    for (const key of Object.keys(childContext)) {
+      context[key] = childContext[key];
+    }
+  }
+
+  const resolvedElements = await Promise.all(
+    resolvedChildren.map(async ([resolvedChild, childContext]) => {
+      try {
+        return [
+          resolvedChild.elementName,
+          await resolveChildren(resolvedChild, childContext, isTopLevel),
+        ];
+      } catch (err) {
+        stopSiblings(childContext);
+        throw addComponentPath(err, childContext);
+      }
+    }),
+  );
+
+  for (const [name, resolvedElement] of resolvedElements) {
+    if (!isNil(resolvedElement)) {
+      result[name] = resolvedElement;
+    }
+  }
+
+  if (state.watermarks.length > 0) {
+    [result.watermark] = state.watermarks;
+  }
+
+  const { watermark, background } = result;
+
+  if (typeof watermark === 'function') {
+    delete result.watermark;
+    result.background = (currentPage, pageSize) => {
+      const layers = [
+        typeof background === 'function'
+          ? background(currentPage, pageSize)
+          : background,
+        watermark(currentPage, pageSize),
+      ].filter(Boolean);
+
+      return layers.length > 0 ? layers : null;
+    };
+  }
+
+  const missingDestinations = uniq(state.linkTargets).filter(
+    (target) => !state.destinations.has(target),
+  );
+
+  if (missingDestinations.length > 0) {
+    throw new Error(
+      `Found links to ids which don't exist: ${missingDestinations
+        .map((target) => `"${target}"`)
+        .join(', ')}`,
     );
   }
 
+  const pageOrientation = collapsePageBreaks(
+    result.content,
+    state.pageBreaks,
+    attributes.pageOrientation || 'portrait',
+  );
+  const { styles, images } = state;
+  state.isComplete = true;
+
   return {
     ...result,
     ...attributes,
+    ...(pageOrientation && { pageOrientation }),
+    ...(!isEmpty(styles) && { styles }),
+    ...(!isEmpty(images) && { images }),
   };
 }
 
+function createPrinter(fonts) {
+  if (!fonts) {
+    throw new TypeError(
+      'Either the fonts or a pdfmake printer must be passed to render a PDF',
+    );
+  }
+
+  // pdfmake is an optional peer dependency, only loaded once a PDF is rendered
+  const PdfPrinter = require('pdfmake'); // eslint-disable-line global-require
+
+  return new PdfPrinter(fonts);
+}
+
+/**
+ * Renders the JSX and lays it out with pdfmake, resolving to a readable stream of
+ * the PDF. Accepts the options of renderPdf, together with either the `fonts` to
+ * create a pdfmake printer with or an existing `printer`, and the `pdfOptions` passed
+ * on to pdfmake.
+ */
+async function renderToStream(
+  tag,
+  { fonts, printer = createPrinter(fonts), pdfOptions, ...renderOptions } = {},
+) {
+  const pdf = printer.createPdfKitDocument(
+    await renderPdf(tag, renderOptions),
+    pdfOptions,
+  );
+  pdf.end();
+
+  return pdf;
+}
+
+/**
+ * Like renderToStream, but resolves to a Buffer containing the whole PDF.
+ */
+async function renderToBuffer(tag, options) {
+  const pdf = await renderToStream(tag, options);
+
+  return new Promise((onEnd, onError) => {
+    const chunks = [];
+
+    pdf.on('data', (chunk) => chunks.push(chunk));
+    pdf.on('end', () => onEnd(Buffer.concat(chunks)));
+    pdf.on('error', onError);
+  });
+}
+
 const Fragment = (props) => createElement('stack', null, props.children);
 
+const ErrorBoundary = ({ children, ...attributes }) =>
+  createElement(errorBoundaryElement, attributes, children);
+
+/**
+ * Wraps a component so that its result is reused for props which are equal according
+ * to `areEqual`, and context values which are deeply equal.
+ */
+function memo(component, areEqual = isEqual) {
+  const Memo = (props) =>
+    createElement(memoElement, { component, areEqual, props });
+  Memo.displayName = `Memo(${getDisplayName(component)})`;
+
+  return Memo;
+}
+
+/**
+ * Creates a cache for the results of memo components, which can be shared between
+ * renders by passing it to each of them. Once it holds `maxEntries` results, the
+ * least recently used one is evicted for each new result.
+ */
+function createRenderCache({ maxEntries = Infinity } = {}) {
+  if (
+    !(Number.isInteger(maxEntries) && maxEntries > 0) &&
+    maxEntries !== Infinity
+  ) {
+    throw new TypeError(
+      `The maxEntries option must be a positive integer or Infinity, received ${maxEntries}`,
+    );
+  }
+
+  const cache = {
+    hits: 0,
+    misses: 0,
+    [cacheStateKey]: {
+      buckets: new Map(),
+      recentEntries: new Set(),
+      maxEntries,
+    },
+    clear() {
+      cache[cacheStateKey].buckets.clear();
+      cache[cacheStateKey].recentEntries.clear();
+      cache.hits = 0;
+      cache.misses = 0;
+    },
+  };
+
+  return cache;
+}
+
+/**
+ * Creates a context which components can provide a value for, without overwriting the
+ * values provided through any other context.
+ *
+ * The nearest value is read with `read(context)` inside a component, or with a
+ * `<Consumer>` whose only child is a function of the value.
+ */
+function createContext(defaultValue) {
+  const key = Symbol('context');
+
+  const read = (context) => (key in context ? context[key] : defaultValue);
+
+  const Provider = ({ value, children }, context, update) => {
+    update({ [key]: value });
+
+    // a single child is returned as is, so that a <document> can be wrapped
+    return children.length > 1
+      ? createElement(Fragment, null, children)
+      : children[0];
+  };
+
+  const Consumer = ({ children }, context) => children(read(context));
+
+  return { Provider, Consumer, read };
+}
+
 export default {
   createElement,
+  createContext,
   renderPdf,
+  renderToStream,
+  renderToBuffer,
   Fragment,
+  ErrorBoundary,
+  memo,
+  createRenderCache,
 };
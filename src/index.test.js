@@ -4,6 +4,8 @@
  * Licensed under the MIT license. See LICENSE file in the project root for details.
  */
 
+import { PassThrough } from 'stream';
+import PdfPrinter from 'pdfmake';
 import JsxPdf from '.';
 
 jest.mock('pdfmake', () => jest.fn());
@@ -343,6 +345,65 @@ describe('#jsx-pdf', () => {
         ),
       );
     });
+
+    it('resolves async components next to a render prop ahead of time', async () => {
+      const loadDocumentNumber = jest.fn(async () => 'DOC-42');
+
+      const DocumentNumber = async () => (
+        <text>{await loadDocumentNumber()}</text>
+      );
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <footer>
+            <DocumentNumber />
+            {(currentPage, pageCount) => (
+              <text>
+                Page {currentPage} of {pageCount}
+              </text>
+            )}
+          </footer>
+        </document>,
+      );
+
+      expect(result.footer(1, 2)).toEqual({
+        stack: [{ text: 'DOC-42' }, { text: 'Page 1 of 2' }],
+      });
+      expect(result.footer(2, 2)).toEqual({
+        stack: [{ text: 'DOC-42' }, { text: 'Page 2 of 2' }],
+      });
+      expect(loadDocumentNumber).toHaveBeenCalledTimes(1);
+    });
+
+    it('resolves render props nested anywhere inside a header', async () => {
+      const SigningStatus = async () => <text bold>Signed</text>;
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>
+            <columns>
+              <column width="*">
+                <SigningStatus />
+              </column>
+              <column width="auto">
+                <text>{(currentPage) => `Page ${currentPage}`}</text>
+              </column>
+            </columns>
+          </header>
+        </document>,
+      );
+
+      expect(result.header(3)).toEqual({
+        stack: [
+          {
+            columns: [
+              { stack: [{ text: 'Signed', bold: true }], width: '*' },
+              { stack: [{ text: 'Page 3' }], width: 'auto' },
+            ],
+          },
+        ],
+      });
+    });
   });
 
   it('should ignore falsy values', async () => {
@@ -397,465 +458,3672 @@ describe('#jsx-pdf', () => {
     });
   });
 
-  describe('higher order components', () => {
-    it('should allow higher order components', async () => {
-      const Component = (attributes) => <text>{attributes.children}</text>;
+  describe('concurrency', () => {
+    const createLookup = () => {
+      const lookup = { inFlight: 0, maxInFlight: 0, started: [] };
+
+      lookup.Row = async ({ id, delay }) => {
+        lookup.started.push(id);
+        lookup.inFlight += 1;
+        lookup.maxInFlight = Math.max(lookup.maxInFlight, lookup.inFlight);
+
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        lookup.inFlight -= 1;
+        return <text>row {id}</text>;
+      };
+
+      return lookup;
+    };
+
+    const renderRows = (Row, options) =>
+      JsxPdf.renderPdf(
+        <document>
+          <content>
+            {[30, 10, 20, 0, 10].map((delay, index) => (
+              <Row id={index + 1} delay={delay} />
+            ))}
+          </content>
+        </document>,
+        options,
+      );
+
+    it('should resolve siblings concurrently and keep their order', async () => {
+      const lookup = createLookup();
+
+      expect(await renderRows(lookup.Row)).toEqual({
+        content: {
+          stack: [
+            { text: 'row 1' },
+            { text: 'row 2' },
+            { text: 'row 3' },
+            { text: 'row 4' },
+            { text: 'row 5' },
+          ],
+        },
+      });
+      expect(lookup.maxInFlight).toBe(5);
+    });
+
+    it('should limit the number of siblings resolved at a time', async () => {
+      const lookup = createLookup();
+
+      expect(await renderRows(lookup.Row, { concurrency: 2 })).toEqual({
+        content: {
+          stack: [
+            { text: 'row 1' },
+            { text: 'row 2' },
+            { text: 'row 3' },
+            { text: 'row 4' },
+            { text: 'row 5' },
+          ],
+        },
+      });
+      expect(lookup.maxInFlight).toBe(2);
+      expect(lookup.started).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it.each([1, 2])(
+      'should apply a limit of %i to the whole document',
+      async (concurrency) => {
+        const renderSections = (Row, options) => {
+          const Section = async ({ id }) => (
+            <stack>
+              {[10, 0, 20].map((delay, index) => (
+                <Row id={`${id}.${index + 1}`} delay={delay} />
+              ))}
+            </stack>
+          );
+
+          return JsxPdf.renderPdf(
+            <document>
+              <content>
+                <Section id={1} />
+                <stack>
+                  <Section id={2} />
+                  <Section id={3} />
+                </stack>
+              </content>
+            </document>,
+            options,
+          );
+        };
+        const rows = (id) => ({
+          stack: [1, 2, 3].map((row) => ({ text: `row ${id}.${row}` })),
+        });
+
+        const lookup = createLookup();
+
+        expect(await renderSections(lookup.Row, { concurrency })).toEqual({
+          content: { stack: [rows(1), { stack: [rows(2), rows(3)] }] },
+        });
+        expect(lookup.started).toHaveLength(9);
+        expect(lookup.maxInFlight).toBe(concurrency);
+      },
+    );
+
+    it('should stop resolving siblings after one of them fails', async () => {
+      const Second = jest.fn(() => <text>second</text>);
+      const First = async () => {
+        throw new Error('failed to load');
+      };
+
+      await expect(
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <First />
+              <Second />
+            </content>
+          </document>,
+          { concurrency: 1 },
+        ),
+      ).rejects.toThrow('failed to load');
+      expect(Second).not.toHaveBeenCalled();
+    });
+
+    it('should keep resolving the siblings of an error boundary which caught an error', async () => {
+      const Broken = async () => {
+        throw new Error('failed to load');
+      };
+      const Sibling = async () => <text>sibling</text>;
 
       expect(
         await JsxPdf.renderPdf(
           <document>
             <content>
-              <Component>hello</Component>
+              <JsxPdf.ErrorBoundary fallback="unavailable">
+                <Broken />
+                <Sibling />
+              </JsxPdf.ErrorBoundary>
+              <Sibling />
             </content>
           </document>,
+          { concurrency: 1 },
         ),
       ).toEqual({
-        content: {
-          stack: [{ text: 'hello' }],
-        },
+        content: { stack: ['unavailable', { text: 'sibling' }] },
       });
     });
+
+    it('should error if the concurrency is not a positive integer', async () => {
+      await expect(
+        JsxPdf.renderPdf(<document />, { concurrency: 0 }),
+      ).rejects.toThrow(
+        'The concurrency option must be a positive integer or Infinity, received 0',
+      );
+    });
   });
 
-  describe('context', () => {
-    it('should pass context to children', async () => {
-      const Provider = (attributes, context, updateContext) => {
-        updateContext({ mytest: 'test' });
-        return attributes.children[0];
-      };
+  describe('memo', () => {
+    it('should reuse the result for equal props', async () => {
+      const ProductCard = jest.fn(async ({ sku }) => <text>{sku}</text>);
+      const MemoProductCard = JsxPdf.memo(ProductCard);
+      const cache = JsxPdf.createRenderCache();
 
-      const MyContextualisedComponent = (attributes, { mytest }) => (
-        <text>{mytest}</text>
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <content>
+            <MemoProductCard sku="A-1" />
+            <MemoProductCard sku="B-2" />
+            <MemoProductCard sku="A-1" />
+            <MemoProductCard sku="A-1" />
+          </content>
+        </document>,
+        { cache },
       );
 
-      expect(
-        await JsxPdf.renderPdf(
-          <Provider>
-            <document>
-              <content>
-                <MyContextualisedComponent />
-              </content>
-            </document>
-          </Provider>,
-        ),
-      ).toEqual({
+      expect(result).toEqual({
         content: {
-          stack: [{ text: 'test' }],
+          stack: [
+            { text: 'A-1' },
+            { text: 'B-2' },
+            { text: 'A-1' },
+            { text: 'A-1' },
+          ],
         },
       });
+      expect(result.content.stack[0]).not.toBe(result.content.stack[2]);
+      expect(ProductCard).toHaveBeenCalledTimes(2);
+      expect(cache).toMatchObject({ hits: 2, misses: 2 });
     });
 
-    it('should not pass context to siblings', async () => {
-      const Provider = (attributes, context, updateContext) => {
-        updateContext({ mytest: 'this should not exist in the sibling' });
-        return <text>first</text>;
-      };
-
-      const SiblingProvider = (attributes, { mytest }) => (
-        <text>{mytest || 'it worked'}</text>
+    it('should compare props with areEqual', async () => {
+      const ProductCard = jest.fn(({ sku }) => <text>{sku}</text>);
+      const MemoProductCard = JsxPdf.memo(
+        ProductCard,
+        (previous, next) => previous.sku === next.sku,
       );
 
       expect(
         await JsxPdf.renderPdf(
           <document>
             <content>
-              <Provider />
-              <SiblingProvider />
+              <MemoProductCard sku="A-1" position={1} />
+              <MemoProductCard sku="A-1" position={2} />
             </content>
           </document>,
         ),
       ).toEqual({
         content: {
-          stack: [{ text: 'first' }, { text: 'it worked' }],
+          stack: [{ text: 'A-1' }, { text: 'A-1' }],
         },
       });
+      expect(ProductCard).toHaveBeenCalledTimes(1);
     });
 
-    it('should pass context to grandchildren', async () => {
-      const Provider = (attributes, context, updateContext) => {
-        updateContext({ mytest: 'test' });
-        return attributes.children[0];
-      };
-
-      const MyContextualisedComponent = (attributes, { mytest }) => (
-        <text>{mytest}</text>
-      );
-      const MyParentComponent = () => <MyContextualisedComponent />;
+    it('should not reuse the result for props which only differ in type', async () => {
+      const ProductCard = jest.fn(({ sku }) => <text>{typeof sku}</text>);
+      const MemoProductCard = JsxPdf.memo(ProductCard);
 
       expect(
         await JsxPdf.renderPdf(
-          <Provider>
-            <document>
-              <content>
-                <MyParentComponent />
-              </content>
-            </document>
-          </Provider>,
+          <document>
+            <content>
+              <MemoProductCard sku={1} />
+              <MemoProductCard sku="1" />
+              <MemoProductCard sku={{ id: 1 }} />
+              <MemoProductCard sku={1} />
+            </content>
+          </document>,
         ),
       ).toEqual({
         content: {
-          stack: [{ text: 'test' }],
+          stack: [
+            { text: 'number' },
+            { text: 'string' },
+            { text: 'object' },
+            { text: 'number' },
+          ],
         },
       });
+      expect(ProductCard).toHaveBeenCalledTimes(3);
     });
-  });
-
-  describe('document', () => {
-    it('should set page size', async () => {
-      expect(await JsxPdf.renderPdf(<document pageSize={5} />)).toEqual({
-        pageSize: 5,
-      });
-    });
-
-    it('should allow header render prop', async () => {
-      expect.assertions(5);
 
-      const CURRENT = 1;
-      const TOTAL = 2;
-      const PAGE_SIZE = { width: 1080 };
+    it('should evict the least recently used results beyond maxEntries', async () => {
+      const ProductCard = jest.fn(({ sku }) => <text>{sku}</text>);
+      const MemoProductCard = JsxPdf.memo(ProductCard);
+      const cache = JsxPdf.createRenderCache({ maxEntries: 2 });
+      const renderCards = (skus) =>
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              {skus.map((sku) => (
+                <MemoProductCard sku={sku} />
+              ))}
+            </content>
+          </document>,
+          { cache },
+        );
 
-      const result = await JsxPdf.renderPdf(
-        <document>
-          <header>
-            {(currentPage, pageCount, pageSize) => {
-              expect(currentPage).toBe(CURRENT);
-              expect(pageCount).toBe(TOTAL);
-              expect(pageSize).toBe(PAGE_SIZE);
+      await renderCards(['A-1', 'B-2']);
+      await renderCards(['A-1']);
+      await renderCards(['C-3']);
+      await renderCards(['A-1', 'B-2']);
 
-              return (
-                <columns>
-                  <column width="*">I am the head</column>
-                  <column width="*">
-                    Page {currentPage} of {pageCount}
-                  </column>
-                  <column width="*">{pageSize}</column>
-                </columns>
-              );
-            }}
-          </header>
-        </document>,
-      );
+      expect(ProductCard.mock.calls.map(([{ sku }]) => sku)).toEqual([
+        'A-1',
+        'B-2',
+        'C-3',
+        'B-2',
+      ]);
+      expect(cache).toMatchObject({ hits: 2, misses: 4 });
+    });
 
-      expect(result).toEqual({
-        header: expect.any(Function),
+    it('should evict results which are still being resolved', async () => {
+      const ThemeContext = JsxPdf.createContext('light');
+      let onStarted;
+      const started = new Promise((resolve) => {
+        onStarted = resolve;
       });
+      const Heading = jest.fn(async (attributes, context) => {
+        const theme = ThemeContext.read(context);
 
-      expect(result.header(CURRENT, TOTAL, PAGE_SIZE)).toEqual({
-        stack: [
-          {
-            columns: [
-              { stack: ['I am the head'], width: '*' },
-              { stack: ['Page 1 of 2'], width: '*' },
-              { stack: [], width: '*' },
-            ],
-          },
-        ],
+        if (theme === 'light') {
+          onStarted();
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          throw new Error('failed to load');
+        }
+
+        return <text>{theme}</text>;
       });
-    });
+      const MemoHeading = JsxPdf.memo(Heading);
+      const Later = async () => {
+        await started;
 
-    it('should allow footer render prop', async () => {
-      expect.assertions(4);
+        return (
+          <stack>
+            <ThemeContext.Provider value="dark">
+              <MemoHeading />
+            </ThemeContext.Provider>
+          </stack>
+        );
+      };
+      const cache = JsxPdf.createRenderCache({ maxEntries: 1 });
 
-      const CURRENT = 1;
-      const TOTAL = 2;
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <JsxPdf.ErrorBoundary fallback="unavailable">
+                <MemoHeading />
+              </JsxPdf.ErrorBoundary>
+              <Later />
+            </content>
+          </document>,
+          { cache },
+        ),
+      ).toEqual({
+        content: { stack: ['unavailable', { stack: [{ text: 'dark' }] }] },
+      });
+      expect(cache).toMatchObject({ hits: 0, misses: 2 });
 
-      const result = await JsxPdf.renderPdf(
+      await JsxPdf.renderPdf(
         <document>
-          <footer>
-            {(currentPage, pageCount) => {
-              expect(currentPage).toBe(CURRENT);
-              expect(pageCount).toBe(TOTAL);
-
-              return (
-                <columns>
-                  <column width="*">I am the foot</column>
-                  <column width="*">
-                    Page {currentPage} of {pageCount}
-                  </column>
-                </columns>
-              );
-            }}
-          </footer>
+          <content>
+            <ThemeContext.Provider value="dark">
+              <MemoHeading />
+            </ThemeContext.Provider>
+          </content>
         </document>,
+        { cache },
       );
 
-      expect(result).toEqual({
-        footer: expect.any(Function),
-      });
+      expect(Heading).toHaveBeenCalledTimes(2);
+      expect(cache).toMatchObject({ hits: 1, misses: 2 });
+    });
 
-      expect(result.footer(CURRENT, TOTAL)).toEqual({
-        stack: [
-          {
-            columns: [
-              { stack: ['I am the foot'], width: '*' },
-              { stack: ['Page 1 of 2'], width: '*' },
-            ],
-          },
-        ],
-      });
+    it('should error if maxEntries is not a positive integer', () => {
+      expect(() => JsxPdf.createRenderCache({ maxEntries: 0 })).toThrow(
+        'The maxEntries option must be a positive integer or Infinity, received 0',
+      );
     });
 
-    it('should allow simple header & footer', async () => {
-      expect.assertions(1);
-
-      const result = await JsxPdf.renderPdf(
-        <document>
-          <header>
-            <text>I am the head</text>
-          </header>
-          <content>Hello</content>
-          <footer>
-            <text>I am the foot</text>
-          </footer>
-        </document>,
-      );
+    it('should not reuse the result for different context', async () => {
+      const ThemeContext = JsxPdf.createContext('light');
+      const Heading = jest.fn((attributes, context) => (
+        <text>{ThemeContext.read(context)}</text>
+      ));
+      const MemoHeading = JsxPdf.memo(Heading);
 
-      expect(result).toEqual({
-        content: { stack: ['Hello'] },
-        footer: { stack: [{ text: 'I am the foot' }] },
-        header: { stack: [{ text: 'I am the head' }] },
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <MemoHeading />
+              <ThemeContext.Provider value="dark">
+                <MemoHeading />
+              </ThemeContext.Provider>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'light' }, { text: 'dark' }],
+        },
       });
+      expect(Heading).toHaveBeenCalledTimes(2);
     });
 
-    it('should set page margins', async () => {
-      expect(await JsxPdf.renderPdf(<document pageMargins={10} />)).toEqual({
-        pageMargins: 10,
-      });
-    });
+    it('should share the cache between renders', async () => {
+      const Boilerplate = jest.fn(() => (
+        <stack>
+          <styles legal={{ fontSize: 8 }} />
+          <text style="legal" id="terms">
+            Terms
+          </text>
+          <link to="terms">Back to the terms</link>
+          <image src="data:image/png;base64,AAAA" />
+          <section pageOrientation="landscape">
+            <text>Appendix</text>
+          </section>
+        </stack>
+      ));
+      const MemoBoilerplate = JsxPdf.memo(Boilerplate);
+      const cache = JsxPdf.createRenderCache();
 
-    ['title', 'author', 'subject', 'keywords'].forEach((field) => {
-      it(`should set ${field} in info`, async () => {
-        expect(
-          await JsxPdf.renderPdf(<document info={{ [field]: 'foo' }} />),
-        ).toEqual({
-          info: {
-            [field]: 'foo',
-          },
-        });
+      const render = () =>
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <link to="terms">See the terms</link>
+              <MemoBoilerplate />
+            </content>
+          </document>,
+          { cache },
+        );
+
+      const first = await render();
+      const second = await render();
+
+      expect(second).toEqual(first);
+      expect(second).toEqual({
+        content: {
+          stack: [
+            { text: 'See the terms', linkToDestination: 'terms' },
+            {
+              stack: [
+                { text: 'Terms', style: 'legal', id: 'terms' },
+                { text: 'Back to the terms', linkToDestination: 'terms' },
+                { image: expect.stringMatching(/^image-/) },
+                {
+                  stack: [
+                    {
+                      stack: [{ text: 'Appendix' }],
+                      pageBreak: 'before',
+                      pageOrientation: 'landscape',
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        styles: { legal: { fontSize: 8 } },
+        images: {
+          [second.content.stack[1].stack[2].image]:
+            'data:image/png;base64,AAAA',
+        },
       });
+      expect(Boilerplate).toHaveBeenCalledTimes(1);
+      expect(cache).toMatchObject({ hits: 1, misses: 1 });
+
+      cache.clear();
+      await render();
+
+      expect(Boilerplate).toHaveBeenCalledTimes(2);
+      expect(cache).toMatchObject({ hits: 0, misses: 1 });
     });
 
-    it('should error if a top-level element appears below the top level', async () => {
-      await expect(async () => {
+    it('should register the page breaks of reused results', async () => {
+      const Appendix = JsxPdf.memo(() => (
+        <section pageOrientation="landscape">
+          <text>appendix</text>
+        </section>
+      ));
+
+      expect(
         await JsxPdf.renderPdf(
           <document>
             <content>
-              <stack>
-                <header />
-              </stack>
+              <text>report</text>
+              <Appendix />
+              <Appendix />
             </content>
           </document>,
-        );
-      }).rejects.toThrow(/immediate descendents/);
+        ),
+      ).toEqual({
+        content: {
+          stack: [
+            { text: 'report' },
+            {
+              stack: [
+                {
+                  stack: [{ text: 'appendix' }],
+                  pageBreak: 'before',
+                  pageOrientation: 'landscape',
+                },
+              ],
+            },
+            {
+              stack: [
+                {
+                  stack: [{ text: 'appendix' }],
+                  pageBreak: 'before',
+                  pageOrientation: 'landscape',
+                },
+              ],
+            },
+          ],
+        },
+      });
     });
 
-    it('should error if a non-top-level element appears at the top level', async () => {
-      await expect(async () => {
-        await JsxPdf.renderPdf(
+    it('should register the ids of reused results', async () => {
+      const Heading = JsxPdf.memo(() => <text id="heading">Heading</text>);
+
+      await expect(
+        JsxPdf.renderPdf(
           <document>
-            <text>oops!</text>
             <content>
-              <text>¯\_(ツ)_/¯</text>
+              <Heading />
+              <Heading />
             </content>
           </document>,
-        );
-      }).rejects.toThrow(
-        /the <document> element can only contain <header>, <content>, and <footer> elements/i,
+        ),
+      ).rejects.toThrow('Found more than one element with the id "heading"');
+    });
+
+    it('should use the key of an image in the current render', async () => {
+      const source = 'data:image/png;base64,AAAA';
+      const Logo = JsxPdf.memo(() => (
+        <stack>
+          <image src={source} />
+        </stack>
+      ));
+      const cache = JsxPdf.createRenderCache();
+
+      const first = await JsxPdf.renderPdf(
+        <document>
+          <content>
+            <Logo />
+          </content>
+        </document>,
+        { cache },
+      );
+      const cachedKey = first.content.stack[0].stack[0].image;
+
+      // the key used by the cached result belongs to another image this time
+      const second = await JsxPdf.renderPdf(
+        <document images={{ [cachedKey]: 'data:image/png;base64,BBBB' }}>
+          <content>
+            <Logo />
+          </content>
+        </document>,
+        { cache },
       );
+
+      const [{ image }] = second.content.stack[0].stack;
+
+      expect(image).not.toBe(cachedKey);
+      expect(second.images[image]).toBe(source);
+      expect(cache.hits).toBe(1);
     });
 
-    it('should error if document is not the root element', async () => {
-      await expect(async () => {
-        await JsxPdf.renderPdf(
+    it('should resolve the subtree again after it failed', async () => {
+      let attempts = 0;
+      let onStarted;
+      const started = new Promise((resolve) => {
+        onStarted = resolve;
+      });
+      const Flaky = JsxPdf.memo(async () => {
+        attempts += 1;
+
+        if (attempts === 1) {
+          onStarted();
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          throw new Error('failed to load');
+        }
+
+        return <text>loaded</text>;
+      });
+      const Later = async () => {
+        await started;
+
+        return (
           <stack>
-            <text>foobar</text>
-          </stack>,
+            <Flaky />
+          </stack>
         );
-      }).rejects.toThrow(/root/);
-    });
+      };
+      const cache = JsxPdf.createRenderCache();
 
-    it('should error if a document appears below the top level', async () => {
-      await expect(async () => {
+      expect(
         await JsxPdf.renderPdf(
           <document>
             <content>
-              <document />
+              <JsxPdf.ErrorBoundary fallback="unavailable">
+                <Flaky />
+              </JsxPdf.ErrorBoundary>
+              <Later />
             </content>
           </document>,
-        );
-      }).rejects.toThrow(/root/);
+          { cache },
+        ),
+      ).toEqual({
+        content: {
+          stack: ['unavailable', { stack: [{ text: 'loaded' }] }],
+        },
+      });
+      expect(attempts).toBe(2);
+      expect(cache).toMatchObject({ hits: 0, misses: 2 });
     });
 
-    it('should not error if a top level element appears nested inside a function component', async () => {
-      const Nested = () => <content />;
+    it('should reuse results inside render props', async () => {
+      const Logo = jest.fn(() => <text>logo</text>);
+      const MemoLogo = JsxPdf.memo(Logo);
+      const cache = JsxPdf.createRenderCache();
 
-      await expect(async () => {
-        await JsxPdf.renderPdf(
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>{() => <MemoLogo />}</header>
+        </document>,
+        { cache },
+      );
+
+      expect(result.header(1)).toEqual({ stack: [{ text: 'logo' }] });
+      expect(result.header(2)).toEqual({ stack: [{ text: 'logo' }] });
+      expect(Logo).toHaveBeenCalledTimes(1);
+      expect(cache).toMatchObject({ hits: 1, misses: 1 });
+    });
+
+    it('should reuse render functions', async () => {
+      const PageNumber = JsxPdf.memo(() => (
+        <text>{(currentPage) => `Page ${currentPage}`}</text>
+      ));
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <footer>
+            <PageNumber />
+            <PageNumber />
+          </footer>
+        </document>,
+        { concurrency: 1 },
+      );
+
+      expect(result.footer(2)).toEqual({
+        stack: [{ text: 'Page 2' }, { text: 'Page 2' }],
+      });
+    });
+
+    it('should not cache render functions between renders', async () => {
+      const Footer = jest.fn(() => (
+        <stack>
+          <styles small={{ fontSize: 8 }} />
+          <image src="data:image/png;base64,AAAA" />
+          <text style="small">{(currentPage) => `Page ${currentPage}`}</text>
+        </stack>
+      ));
+      const MemoFooter = JsxPdf.memo(Footer);
+      const cache = JsxPdf.createRenderCache();
+      const render = () =>
+        JsxPdf.renderPdf(
           <document>
-            <Nested />
+            <footer>
+              <MemoFooter />
+            </footer>
           </document>,
+          { cache },
         );
-      }).not.toThrow();
+
+      await render();
+      const result = await render();
+      const [{ stack }] = result.footer(1).stack;
+
+      expect(result.styles).toEqual({ small: { fontSize: 8 } });
+      expect(result.images).toEqual({
+        [stack[0].image]: 'data:image/png;base64,AAAA',
+      });
+      expect(stack[1]).toEqual({ text: 'Page 1', style: 'small' });
+      expect(Footer).toHaveBeenCalledTimes(2);
+      expect(cache).toMatchObject({ hits: 0, misses: 2 });
     });
 
-    it('should resolve functional top level elements', async () => {
-      const Component = () => (
-        <content>
-          <text>test</text>
-        </content>
-      );
+    it('should error if used as a top level element', async () => {
+      const Content = JsxPdf.memo(() => <content>hello</content>);
 
-      expect(
-        await JsxPdf.renderPdf(
+      await expect(
+        JsxPdf.renderPdf(
           <document>
-            <Component />
+            <Content />
           </document>,
         ),
-      ).toEqual({
-        content: {
-          stack: [{ text: 'test' }],
-        },
-      });
+      ).rejects.toThrow(/Memo components can't be used as top level elements/);
+    });
+
+    it('should error if the cache was not created by createRenderCache', async () => {
+      await expect(
+        JsxPdf.renderPdf(<document />, { cache: new Map() }),
+      ).rejects.toThrow(
+        'The cache option must be created with JsxPdf.createRenderCache()',
+      );
     });
   });
 
-  describe('Fragment', () => {
-    it('should convert Fragments into a stack', async () => {
+  describe('strict', () => {
+    const Invoice = () => (
+      <colums>
+        <text>Total</text>
+      </colums>
+    );
+
+    it('should leave out unknown elements by default', async () => {
       expect(
         await JsxPdf.renderPdf(
           <document>
             <content>
-              <>
-                <text>Hello</text>
-                <text>World</text>
-              </>
+              <Invoice />
+              <text fontsize={12}>Thanks</text>
             </content>
           </document>,
         ),
       ).toEqual({
-        content: {
-          stack: [
-            {
-              stack: [{ text: 'Hello' }, { text: 'World' }],
-            },
-          ],
-        },
+        content: { stack: [{ text: 'Thanks', fontsize: 12 }] },
       });
     });
 
-    it('should convert Fragments into a stack when a Component returns a Fragment', async () => {
-      const Component = () => (
-        <>
-          <text>Hello</text>
-          <text>World</text>
-        </>
+    it('should throw with a suggestion and the path of the element', async () => {
+      const error = await JsxPdf.renderPdf(
+        <document>
+          <content>
+            <Invoice />
+          </content>
+        </document>,
+        { strict: true },
+      ).catch((err) => err);
+
+      expect(error.message).toBe(
+        'Unknown element <colums>, did you mean <columns>?',
       );
-      expect(
-        await JsxPdf.renderPdf(
+      expect(error.componentPath).toBe('document > content > Invoice > colums');
+    });
+
+    it('should throw for every problem with an element', async () => {
+      await expect(
+        JsxPdf.renderPdf(
           <document>
             <content>
-              <Component />
+              <table>
+                <cell fontsize={12} />
+              </table>
             </content>
           </document>,
+          { strict: true },
         ),
-      ).toEqual({
-        content: {
-          stack: [
-            {
-              stack: [{ text: 'Hello' }, { text: 'World' }],
-            },
-          ],
-        },
-      });
+      ).rejects.toThrow(
+        'The <table> element can only contain <row> elements, found <cell>\nUnknown attribute fontsize on <cell>, did you mean fontSize?',
+      );
     });
-  });
 
-  describe('primitives', () => {
-    describe('header', () => {
-      it('should be converted', async () => {
-        expect(
-          await JsxPdf.renderPdf(
-            <document>
-              <header>
-                <text>test header</text>
-              </header>
-            </document>,
-          ),
-        ).toEqual({
-          header: {
-            stack: [{ text: 'test header' }],
-          },
-        });
-      });
+    it('should check the attributes of the document', async () => {
+      const error = await JsxPdf.renderPdf(<document pageSise="A4" />, {
+        strict: true,
+      }).catch((err) => err);
 
-      it('should set passed attributes', async () => {
-        expect(
-          await JsxPdf.renderPdf(
-            <document>
+      expect(error.message).toBe(
+        'Unknown attribute pageSise on <document>, did you mean pageSize?',
+      );
+      expect(error.componentPath).toBe('document');
+    });
+
+    it('should check text and elements returned by render functions', async () => {
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>{() => <text colour="grey">Page</text>}</header>
+          <watermark>{() => 'COPY'}</watermark>
+        </document>,
+        { strict: true },
+      );
+
+      expect(() => result.header(1, 2)).toThrow(
+        'Unknown attribute colour on <text>, did you mean color?',
+      );
+      expect(() =>
+        result.background(1, { width: 100, height: 100 }),
+      ).not.toThrow();
+    });
+
+    it('should allow Fragments of shapes inside a canvas', async () => {
+      await expect(
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <canvas>
+                <>
+                  <rect x={0} y={0} w={10} h={10} />
+                  <line x1={0} y1={0} x2={10} y2={10} />
+                </>
+              </canvas>
+            </content>
+          </document>,
+          { strict: true },
+        ),
+      ).resolves.toBeDefined();
+      await expect(
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <rect x={0} y={0} w={10} h={10} />
+            </content>
+          </document>,
+          { strict: true },
+        ),
+      ).rejects.toThrow("The <content> element can't contain <rect> elements");
+    });
+
+    it('should warn once for each problem when set to warn', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <footer>
+            {(currentPage) => <text fontsize={12}>{currentPage}</text>}
+          </footer>
+          <content>
+            <Invoice />
+          </content>
+        </document>,
+        { strict: 'warn' },
+      );
+      result.footer(1, 2);
+      result.footer(2, 2);
+
+      expect(result.content).toEqual({ stack: [] });
+      expect(result.footer(1, 2)).toEqual({
+        stack: [{ text: 1, fontsize: 12 }],
+      });
+      expect(warn.mock.calls).toEqual([
+        [
+          'Unknown element <colums>, did you mean <columns>?\n  in document > content > Invoice > colums',
+        ],
+        [
+          'Unknown attribute fontsize on <text>, did you mean fontSize?\n  in document > footer > text',
+        ],
+      ]);
+      warn.mockRestore();
+    });
+
+    it('should error if the strict option is not a boolean or warn', async () => {
+      await expect(
+        JsxPdf.renderPdf(<document />, { strict: 'error' }),
+      ).rejects.toThrow(
+        "The strict option must be true, false or 'warn', received error",
+      );
+    });
+  });
+
+  describe('testMode', () => {
+    const elementNameKey = Symbol.for('jsx-pdf.elementName');
+
+    it('should leave out testIds by default', async () => {
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <text testId="title">hello</text>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: { stack: [{ text: 'hello' }] },
+      });
+    });
+
+    it('should keep testIds and the element of each node', async () => {
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <content>
+            <b testId="title">hello</b>
+          </content>
+        </document>,
+        { testMode: true },
+      );
+      const [node] = result.content.stack;
+
+      expect(node).toEqual({ text: 'hello', bold: true, testId: 'title' });
+      expect(node[elementNameKey]).toBe('b');
+      expect(result.content[elementNameKey]).toBe('content');
+    });
+
+    it('should not share memoized results with other modes', async () => {
+      const Title = jest.fn(() => <text testId="title">hello</text>);
+      const MemoTitle = JsxPdf.memo(Title);
+      const cache = JsxPdf.createRenderCache();
+      const element = (
+        <document>
+          <content>
+            <MemoTitle />
+          </content>
+        </document>
+      );
+
+      const first = await JsxPdf.renderPdf(element, { cache });
+      const second = await JsxPdf.renderPdf(element, {
+        cache,
+        testMode: true,
+      });
+
+      expect(first.content.stack[0].testId).toBeUndefined();
+      expect(second.content.stack[0].testId).toBe('title');
+      expect(Title).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('renderToBuffer and renderToStream', () => {
+    const createPdfKitDocument = jest.fn((definition) => {
+      const pdf = new PassThrough();
+      pdf.write(`PDF of ${JSON.stringify(definition)}`);
+
+      return pdf;
+    });
+
+    const fonts = { OpenSans: { normal: 'OpenSans-Regular.ttf' } };
+
+    beforeEach(() => {
+      createPdfKitDocument.mockClear();
+      PdfPrinter.mockClear();
+      PdfPrinter.mockImplementation(() => ({ createPdfKitDocument }));
+    });
+
+    it('should render the PDF to a buffer with the fonts', async () => {
+      const pdf = await JsxPdf.renderToBuffer(
+        <document>
+          <content>hello</content>
+        </document>,
+        { fonts, pdfOptions: { tableLayouts: {} } },
+      );
+
+      expect(pdf).toEqual(
+        Buffer.from('PDF of {"content":{"stack":["hello"]}}'),
+      );
+      expect(PdfPrinter).toHaveBeenCalledWith(fonts);
+      expect(createPdfKitDocument).toHaveBeenCalledWith(
+        { content: { stack: ['hello'] } },
+        { tableLayouts: {} },
+      );
+    });
+
+    it('should render the PDF to a stream with an existing printer', async () => {
+      const stream = await JsxPdf.renderToStream(
+        <document>
+          <content>hello</content>
+        </document>,
+        { printer: { createPdfKitDocument } },
+      );
+
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      await new Promise((resolve) => stream.on('end', resolve));
+
+      expect(Buffer.concat(chunks).toString()).toBe(
+        'PDF of {"content":{"stack":["hello"]}}',
+      );
+      expect(PdfPrinter).not.toHaveBeenCalled();
+    });
+
+    it('should pass the render options on to renderPdf', async () => {
+      const cache = JsxPdf.createRenderCache();
+      const Text = JsxPdf.memo(() => <text>hello</text>);
+
+      await JsxPdf.renderToBuffer(
+        <document>
+          <content>
+            <Text />
+            <Text />
+          </content>
+        </document>,
+        { fonts, cache, concurrency: 1 },
+      );
+
+      expect(cache).toMatchObject({ hits: 1, misses: 1 });
+    });
+
+    it('should only load pdfmake to create a printer', async () => {
+      const hello = (
+        <document>
+          <content>hello</content>
+        </document>
+      );
+
+      jest.resetModules();
+      jest.doMock('pdfmake', () => {
+        throw new Error("Cannot find module 'pdfmake'");
+      });
+
+      try {
+        const { default: IsolatedJsxPdf } = require('.'); // eslint-disable-line global-require
+
+        expect(await IsolatedJsxPdf.renderPdf(hello)).toEqual({
+          content: { stack: ['hello'] },
+        });
+        expect(
+          await IsolatedJsxPdf.renderToBuffer(hello, {
+            printer: { createPdfKitDocument },
+          }),
+        ).toEqual(Buffer.from('PDF of {"content":{"stack":["hello"]}}'));
+        await expect(
+          IsolatedJsxPdf.renderToBuffer(hello, { fonts }),
+        ).rejects.toThrow("Cannot find module 'pdfmake'");
+      } finally {
+        jest.doMock('pdfmake', () => PdfPrinter);
+      }
+    });
+
+    it('should reject if rendering fails', async () => {
+      await expect(
+        JsxPdf.renderToBuffer(<content />, { fonts }),
+      ).rejects.toThrow(/The root element must resolve to a <document>/);
+      expect(createPdfKitDocument).not.toHaveBeenCalled();
+    });
+
+    it('should reject if pdfmake fails', async () => {
+      createPdfKitDocument.mockImplementationOnce(() => {
+        throw new Error('Font not found');
+      });
+
+      await expect(
+        JsxPdf.renderToBuffer(<document />, { fonts }),
+      ).rejects.toThrow('Font not found');
+    });
+
+    it('should reject if the PDF stream fails', async () => {
+      createPdfKitDocument.mockImplementationOnce(() => {
+        const pdf = new PassThrough();
+        process.nextTick(() => pdf.destroy(new Error('Image not found')));
+
+        return pdf;
+      });
+
+      await expect(
+        JsxPdf.renderToBuffer(<document />, { fonts }),
+      ).rejects.toThrow('Image not found');
+    });
+
+    it('should reject without fonts or a printer', async () => {
+      await expect(JsxPdf.renderToBuffer(<document />)).rejects.toThrow(
+        'Either the fonts or a pdfmake printer must be passed to render a PDF',
+      );
+    });
+  });
+
+  describe('higher order components', () => {
+    it('should allow higher order components', async () => {
+      const Component = (attributes) => <text>{attributes.children}</text>;
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <Component>hello</Component>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'hello' }],
+        },
+      });
+    });
+  });
+
+  describe('render props', () => {
+    it('should pass a function child to the component as its children', async () => {
+      const DataLoader = async ({ load, children }) => children(await load());
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <DataLoader load={async () => ({ customer: 'ACME' })}>
+                {({ customer }) => <text>Invoice for {customer}</text>}
+              </DataLoader>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'Invoice for ACME' }],
+        },
+      });
+    });
+
+    it('should support render props inside render functions', async () => {
+      const PageInfo = ({ children }) =>
+        children({ pageSize: 'A4', margins: [40, 60] });
+      const Memoized = JsxPdf.memo(({ children }) => children('memoized'));
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>
+            {(currentPage) => (
+              <PageInfo>
+                {({ pageSize, margins }) => (
+                  <text>
+                    Page {currentPage} of {pageSize} with margins{' '}
+                    {margins.join(' and ')},{' '}
+                    <Memoized>{(label) => label}</Memoized>
+                  </text>
+                )}
+              </PageInfo>
+            )}
+          </header>
+        </document>,
+      );
+
+      expect(result.header(2)).toEqual({
+        stack: [{ text: 'Page 2 of A4 with margins 40 and 60, memoized' }],
+      });
+    });
+
+    it('should pass several children as an array', async () => {
+      const Children = ({ children }) => (
+        <text>{children.length} children</text>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <Children>
+                {() => 'first'}
+                {() => 'second'}
+              </Children>
+              <Children>
+                <text>only</text>
+              </Children>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: '2 children' }, { text: '1 children' }],
+        },
+      });
+    });
+
+    it('should throw for functions which are children of other elements', async () => {
+      const error = await JsxPdf.renderPdf(
+        <document>
+          <content>
+            <stack>{(data) => <text>{data}</text>}</stack>
+          </content>
+        </document>,
+      ).catch((err) => err);
+
+      expect(error).toBeInstanceOf(TypeError);
+      expect(error.message).toBe(
+        'Functions can only be passed as the only child of a component, or used inside <header>, <footer>, and <background> elements',
+      );
+      expect(error.componentPath).toBe('document > content > stack');
+    });
+
+    it('should throw for functions which are children of elements inside a watermark', async () => {
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <watermark>{() => <text>{() => 'draft'}</text>}</watermark>
+        </document>,
+      );
+
+      expect(() => result.background(1, { width: 100, height: 100 })).toThrow(
+        'Functions can only be passed as the only child of a component',
+      );
+    });
+  });
+
+  describe('context', () => {
+    it('should pass context to children', async () => {
+      const Provider = (attributes, context, updateContext) => {
+        updateContext({ mytest: 'test' });
+        return attributes.children[0];
+      };
+
+      const MyContextualisedComponent = (attributes, { mytest }) => (
+        <text>{mytest}</text>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <Provider>
+            <document>
+              <content>
+                <MyContextualisedComponent />
+              </content>
+            </document>
+          </Provider>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'test' }],
+        },
+      });
+    });
+
+    it('should not pass context to siblings', async () => {
+      const Provider = (attributes, context, updateContext) => {
+        updateContext({ mytest: 'this should not exist in the sibling' });
+        return <text>first</text>;
+      };
+
+      const SiblingProvider = (attributes, { mytest }) => (
+        <text>{mytest || 'it worked'}</text>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <Provider />
+              <SiblingProvider />
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'first' }, { text: 'it worked' }],
+        },
+      });
+    });
+
+    it('should pass context from top level components to the later top level elements', async () => {
+      const Header = (attributes, context, updateContext) => {
+        updateContext({ title: 'Annual report' });
+        return <header>Header</header>;
+      };
+
+      const Nested = (attributes, context, updateContext) => {
+        updateContext({ title: 'Nested' });
+        return <text>nested</text>;
+      };
+
+      const Title = (attributes, { title }) => <text>{title || 'none'}</text>;
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <footer>
+              <Title />
+            </footer>
+            <Header />
+            <content>
+              <Nested />
+              <Title />
+            </content>
+            <background>
+              <Title />
+            </background>
+          </document>,
+        ),
+      ).toEqual({
+        footer: { stack: [{ text: 'none' }] },
+        header: { stack: ['Header'] },
+        content: { stack: [{ text: 'nested' }, { text: 'Annual report' }] },
+        background: { stack: [{ text: 'Annual report' }] },
+      });
+    });
+
+    it('should pass context to grandchildren', async () => {
+      const Provider = (attributes, context, updateContext) => {
+        updateContext({ mytest: 'test' });
+        return attributes.children[0];
+      };
+
+      const MyContextualisedComponent = (attributes, { mytest }) => (
+        <text>{mytest}</text>
+      );
+      const MyParentComponent = () => <MyContextualisedComponent />;
+
+      expect(
+        await JsxPdf.renderPdf(
+          <Provider>
+            <document>
+              <content>
+                <MyParentComponent />
+              </content>
+            </document>
+          </Provider>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'test' }],
+        },
+      });
+    });
+  });
+
+  describe('createContext', () => {
+    it('should provide the value to descendants', async () => {
+      const ThemeContext = JsxPdf.createContext('light');
+
+      const Themed = (attributes, context) => (
+        <text>{ThemeContext.read(context)}</text>
+      );
+      const Parent = () => <Themed />;
+
+      expect(
+        await JsxPdf.renderPdf(
+          <ThemeContext.Provider value="dark">
+            <document>
+              <content>
+                <Parent />
+              </content>
+            </document>
+          </ThemeContext.Provider>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'dark' }],
+        },
+      });
+    });
+
+    it('should read the default value without a provider', async () => {
+      const ThemeContext = JsxPdf.createContext('light');
+
+      const Themed = (attributes, context) => (
+        <text>{ThemeContext.read(context)}</text>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <Themed />
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'light' }],
+        },
+      });
+    });
+
+    it('should read the nearest provider', async () => {
+      const ThemeContext = JsxPdf.createContext('light');
+
+      const Themed = (attributes, context) => (
+        <text>{ThemeContext.read(context)}</text>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <ThemeContext.Provider value="dark">
+                <Themed />
+                <ThemeContext.Provider value="contrast">
+                  <Themed />
+                </ThemeContext.Provider>
+                <Themed />
+              </ThemeContext.Provider>
+              <Themed />
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [
+            {
+              stack: [{ text: 'dark' }, { text: 'contrast' }, { text: 'dark' }],
+            },
+            { text: 'light' },
+          ],
+        },
+      });
+    });
+
+    it('should not pass the value to top level siblings', async () => {
+      const ThemeContext = JsxPdf.createContext('light');
+
+      const Themed = (attributes, context) => (
+        <text>{ThemeContext.read(context)}</text>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <ThemeContext.Provider value="dark">
+              <content>
+                <Themed />
+              </content>
+            </ThemeContext.Provider>
+            <footer>
+              <Themed />
+            </footer>
+          </document>,
+        ),
+      ).toEqual({
+        content: { stack: [{ text: 'dark' }] },
+        footer: { stack: [{ text: 'light' }] },
+      });
+    });
+
+    it('should keep contexts separate from each other and from updateContext', async () => {
+      const LibraryConfig = JsxPdf.createContext({ name: 'library' });
+      const AppConfig = JsxPdf.createContext({ name: 'app' });
+
+      const LegacyProvider = (attributes, context, updateContext) => {
+        updateContext({ config: { name: 'legacy' } });
+        return attributes.children[0];
+      };
+
+      const Names = (attributes, context) => {
+        const { config } = context;
+
+        return (
+          <text>
+            {LibraryConfig.read(context).name} {AppConfig.read(context).name}{' '}
+            {config.name}
+          </text>
+        );
+      };
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <LegacyProvider>
+                <AppConfig.Provider value={{ name: 'report' }}>
+                  <Names />
+                </AppConfig.Provider>
+              </LegacyProvider>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'library report legacy' }],
+        },
+      });
+    });
+
+    it('should pass the value to the function child of a consumer', async () => {
+      const ThemeContext = JsxPdf.createContext('light');
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <ThemeContext.Provider value="dark">
+                <ThemeContext.Consumer>
+                  {(theme) => <text>{theme}</text>}
+                </ThemeContext.Consumer>
+              </ThemeContext.Provider>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'dark' }],
+        },
+      });
+    });
+  });
+
+  describe('ErrorBoundary', () => {
+    it('should render the fallback in place of a component which throws', async () => {
+      const error = new Error('broken widget');
+      const onError = jest.fn();
+
+      const Widget = () => {
+        throw error;
+      };
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <text>before</text>
+              <JsxPdf.ErrorBoundary
+                fallback={(caught) => <text>{caught.message}</text>}
+                onError={onError}
+              >
+                <Widget />
+              </JsxPdf.ErrorBoundary>
+              <text>after</text>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [
+            { text: 'before' },
+            { text: 'broken widget' },
+            { text: 'after' },
+          ],
+        },
+      });
+
+      expect(onError).toHaveBeenCalledWith(error);
+    });
+
+    it('should catch rejected async components anywhere in its subtree', async () => {
+      const Widget = async () => {
+        throw new Error('failed to load');
+      };
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <JsxPdf.ErrorBoundary fallback={<text>unavailable</text>}>
+                <text>loaded</text>
+                <stack>
+                  <Widget />
+                </stack>
+              </JsxPdf.ErrorBoundary>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'unavailable' }],
+        },
+      });
+    });
+
+    it('should render its children when nothing fails', async () => {
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <JsxPdf.ErrorBoundary fallback={<text>unavailable</text>}>
+                <text>first</text>
+                <text>second</text>
+              </JsxPdf.ErrorBoundary>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ stack: [{ text: 'first' }, { text: 'second' }] }],
+        },
+      });
+    });
+
+    it('should render nothing without a fallback', async () => {
+      const Widget = () => {
+        throw new Error('broken widget');
+      };
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <JsxPdf.ErrorBoundary>
+                <Widget />
+              </JsxPdf.ErrorBoundary>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [],
+        },
+      });
+    });
+
+    it('should pass errors thrown by the fallback to the next boundary', async () => {
+      const Widget = () => {
+        throw new Error('broken widget');
+      };
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <JsxPdf.ErrorBoundary fallback={<text>outer</text>}>
+                <JsxPdf.ErrorBoundary fallback={() => <Widget />}>
+                  <Widget />
+                </JsxPdf.ErrorBoundary>
+              </JsxPdf.ErrorBoundary>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'outer' }],
+        },
+      });
+    });
+
+    it('should catch errors thrown by header and footer render props', async () => {
+      const onError = jest.fn();
+
+      const PageNumber = ({ currentPage }) => {
+        if (currentPage === 2) {
+          throw new Error('broken page number');
+        }
+
+        return <text>{currentPage}</text>;
+      };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <footer>
+            <JsxPdf.ErrorBoundary fallback="-" onError={onError}>
+              {(currentPage) => <PageNumber currentPage={currentPage} />}
+            </JsxPdf.ErrorBoundary>
+          </footer>
+        </document>,
+      );
+
+      expect(result.footer(1)).toEqual({
+        stack: [{ stack: [{ text: 1 }] }],
+      });
+      expect(result.footer(2)).toEqual({ stack: ['-'] });
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+
+    it('should catch errors inside render props', async () => {
+      const Widget = () => {
+        throw new Error('broken widget');
+      };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>
+            {() => (
+              <JsxPdf.ErrorBoundary fallback={() => <text>unavailable</text>}>
+                <Widget />
+              </JsxPdf.ErrorBoundary>
+            )}
+          </header>
+        </document>,
+      );
+
+      expect(result.header(1)).toEqual({
+        stack: [{ text: 'unavailable' }],
+      });
+    });
+
+    it('should error if used as a top level element', async () => {
+      await expect(
+        JsxPdf.renderPdf(
+          <document>
+            <JsxPdf.ErrorBoundary>
+              <content>hello</content>
+            </JsxPdf.ErrorBoundary>
+          </document>,
+        ),
+      ).rejects.toThrow(/<ErrorBoundary> can't be used as a top level element/);
+    });
+
+    it('should undo what the failed subtree registered with the document', async () => {
+      const Broken = () => {
+        throw new Error('broken widget');
+      };
+      const logo = 'data:image/png;base64,AAAA';
+      const photo = 'data:image/png;base64,BBBB';
+
+      const renderTerms = () =>
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <JsxPdf.ErrorBoundary fallback="unavailable">
+                <styles caption={{ italics: true }} />
+                <text id="terms">Terms</text>
+                <image src={logo} />
+                <image src={photo} />
+                <link to="missing">more</link>
+                <Broken />
+              </JsxPdf.ErrorBoundary>
+              <image src={logo} />
+              <link to="terms">See the terms</link>
+            </content>
+          </document>,
+        );
+
+      await expect(renderTerms()).rejects.toThrow(
+        'Found links to ids which don\'t exist: "terms"',
+      );
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>
+            {() => (
+              <JsxPdf.ErrorBoundary fallback="unavailable">
+                <text>Header</text>
+              </JsxPdf.ErrorBoundary>
+            )}
+          </header>
+          <content>
+            <JsxPdf.ErrorBoundary fallback="unavailable">
+              <styles caption={{ italics: true }} heading={{ bold: true }} />
+              <image src={logo} />
+              <image src={photo} />
+              <pageBreak />
+              <Broken />
+            </JsxPdf.ErrorBoundary>
+            <styles heading={{ bold: true }} />
+            <image src={logo} />
+          </content>
+        </document>,
+      );
+
+      expect(result.styles).toEqual({ heading: { bold: true } });
+      expect(Object.values(result.images)).toEqual([logo]);
+      expect(result.header(1)).toEqual({ stack: [{ text: 'Header' }] });
+    });
+
+    it('should discard siblings which finish after the subtree failed', async () => {
+      let onFailed;
+      const failed = new Promise((resolve) => {
+        onFailed = resolve;
+      });
+
+      const Broken = async () => {
+        throw new Error('broken widget');
+      };
+      const Late = JsxPdf.memo(async () => {
+        await failed;
+        return <text id="late">late</text>;
+      });
+      const LateLink = async () => {
+        await failed;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return <link to="late">Late</link>;
+      };
+
+      await expect(
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <JsxPdf.ErrorBoundary fallback="unavailable" onError={onFailed}>
+                <Late />
+                <Broken />
+              </JsxPdf.ErrorBoundary>
+              <LateLink />
+            </content>
+          </document>,
+        ),
+      ).rejects.toThrow('Found links to ids which don\'t exist: "late"');
+    });
+  });
+
+  describe('component path', () => {
+    const getError = (promise) => promise.catch((err) => err);
+
+    it('should add the path of the component which threw to the error', async () => {
+      const Amount = ({ value }) => {
+        if (value < 0) {
+          throw new Error('Negative amount');
+        }
+
+        return <text>{value}</text>;
+      };
+      const LineItems = ({ amounts }) => (
+        <table widths={['*']}>
+          {amounts.map((value) => (
+            <row>
+              <cell>
+                <Amount value={value} />
+              </cell>
+            </row>
+          ))}
+        </table>
+      );
+      const InvoiceBody = () => <LineItems amounts={[1, 2, 3, -4]} />;
+
+      const error = await getError(
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <text>Invoice</text>
+              <InvoiceBody />
+            </content>
+          </document>,
+        ),
+      );
+
+      expect(error.message).toBe('Negative amount');
+      expect(error.componentPath).toBe(
+        'document > content > InvoiceBody > LineItems > table > row[3] > cell > Amount',
+      );
+    });
+
+    it('should add the path of the element which failed to the error', async () => {
+      const error = await getError(
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <table widths={['*', '*']}>
+                <row>
+                  <cell>one</cell>
+                </row>
+              </table>
+            </content>
+          </document>,
+        ),
+      );
+
+      expect(error.componentPath).toBe('document > content > table');
+    });
+
+    it('should add the path to errors at the top level', async () => {
+      const Sidebar = () => <stack>sidebar</stack>;
+      const Broken = () => {
+        throw new Error('broken');
+      };
+
+      await expect(
+        getError(
+          JsxPdf.renderPdf(
+            <document>
+              <content>content</content>
+              <Sidebar />
+            </document>,
+          ),
+        ),
+      ).resolves.toHaveProperty('componentPath', 'document > Sidebar > stack');
+
+      await expect(
+        getError(
+          JsxPdf.renderPdf(
+            <document>
+              <styles />
+              <styles />
+              <Broken />
+            </document>,
+          ),
+        ),
+      ).resolves.toHaveProperty('componentPath', 'document > Broken');
+    });
+
+    it('should add the path to rejected async components', async () => {
+      const Loader = async () => {
+        throw new Error('failed to load');
+      };
+      Loader.displayName = 'DataLoader';
+
+      const error = await getError(
+        JsxPdf.renderPdf(
+          <document>
+            <content>
+              <stack>first</stack>
+              <stack>
+                <Loader />
+              </stack>
+            </content>
+          </document>,
+        ),
+      );
+
+      expect(error.componentPath).toBe(
+        'document > content > stack[1] > DataLoader',
+      );
+    });
+
+    it('should add the path to errors thrown inside render props', async () => {
+      const PageNumber = () => {
+        throw new Error('broken page number');
+      };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <footer>
+            {() => (
+              <columns>
+                <column>left</column>
+                <column>
+                  {[() => <PageNumber />].map((Component) => (
+                    <Component />
+                  ))}
+                </column>
+              </columns>
+            )}
+          </footer>
+        </document>,
+      );
+
+      expect(() => result.footer(1)).toThrow(
+        expect.objectContaining({
+          componentPath:
+            'document > footer > columns > column[1] > Anonymous > PageNumber',
+        }),
+      );
+    });
+  });
+
+  describe('styles', () => {
+    it('should add styles to the document', async () => {
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <styles heading={{ fontSize: 18, bold: true }} />
+            <content>
+              <text style="heading">Hello</text>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        styles: { heading: { fontSize: 18, bold: true } },
+        content: { stack: [{ text: 'Hello', style: 'heading' }] },
+      });
+    });
+
+    it('should collect styles from anywhere in the tree', async () => {
+      const Button = ({ children }) => (
+        <>
+          <styles button={{ color: 'white', background: 'blue' }} />
+          <text style="button">{children}</text>
+        </>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document styles={{ heading: { fontSize: 18 } }}>
+            <content>
+              <Button>OK</Button>
+              <Button>Cancel</Button>
+            </content>
+            <footer>
+              <styles caption={{ italics: true }} />
+              <text style="caption">Footer</text>
+            </footer>
+          </document>,
+        ),
+      ).toEqual({
+        styles: {
+          heading: { fontSize: 18 },
+          button: { color: 'white', background: 'blue' },
+          caption: { italics: true },
+        },
+        content: {
+          stack: [
+            { stack: [{ text: 'OK', style: 'button' }] },
+            { stack: [{ text: 'Cancel', style: 'button' }] },
+          ],
+        },
+        footer: { stack: [{ text: 'Footer', style: 'caption' }] },
+      });
+    });
+
+    it('should error if a style is defined twice with different properties', async () => {
+      await expect(async () => {
+        await JsxPdf.renderPdf(
+          <document styles={{ heading: { fontSize: 18 } }}>
+            <content>
+              <styles heading={{ fontSize: 24 }} />
+            </content>
+          </document>,
+        );
+      }).rejects.toThrow(
+        'Found conflicting definitions for the "heading" style',
+      );
+    });
+
+    it('should keep styles separate between renders', async () => {
+      await JsxPdf.renderPdf(
+        <document>
+          <styles heading={{ fontSize: 18 }} />
+        </document>,
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <styles heading={{ fontSize: 24 }} />
+          </document>,
+        ),
+      ).toEqual({ styles: { heading: { fontSize: 24 } } });
+    });
+  });
+
+  describe('document', () => {
+    it('should set page size', async () => {
+      expect(await JsxPdf.renderPdf(<document pageSize={5} />)).toEqual({
+        pageSize: 5,
+      });
+    });
+
+    it('should allow header render prop', async () => {
+      expect.assertions(5);
+
+      const CURRENT = 1;
+      const TOTAL = 2;
+      const PAGE_SIZE = { width: 1080 };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>
+            {(currentPage, pageCount, pageSize) => {
+              expect(currentPage).toBe(CURRENT);
+              expect(pageCount).toBe(TOTAL);
+              expect(pageSize).toBe(PAGE_SIZE);
+
+              return (
+                <columns>
+                  <column width="*">I am the head</column>
+                  <column width="*">
+                    Page {currentPage} of {pageCount}
+                  </column>
+                  <column width="*">{pageSize}</column>
+                </columns>
+              );
+            }}
+          </header>
+        </document>,
+      );
+
+      expect(result).toEqual({
+        header: expect.any(Function),
+      });
+
+      expect(result.header(CURRENT, TOTAL, PAGE_SIZE)).toEqual({
+        stack: [
+          {
+            columns: [
+              { stack: ['I am the head'], width: '*' },
+              { stack: ['Page 1 of 2'], width: '*' },
+              { stack: [], width: '*' },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('should allow footer render prop', async () => {
+      expect.assertions(4);
+
+      const CURRENT = 1;
+      const TOTAL = 2;
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <footer>
+            {(currentPage, pageCount) => {
+              expect(currentPage).toBe(CURRENT);
+              expect(pageCount).toBe(TOTAL);
+
+              return (
+                <columns>
+                  <column width="*">I am the foot</column>
+                  <column width="*">
+                    Page {currentPage} of {pageCount}
+                  </column>
+                </columns>
+              );
+            }}
+          </footer>
+        </document>,
+      );
+
+      expect(result).toEqual({
+        footer: expect.any(Function),
+      });
+
+      expect(result.footer(CURRENT, TOTAL)).toEqual({
+        stack: [
+          {
+            columns: [
+              { stack: ['I am the foot'], width: '*' },
+              { stack: ['Page 1 of 2'], width: '*' },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('should allow background render prop', async () => {
+      expect.assertions(4);
+
+      const CURRENT = 2;
+      const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <background>
+            {(currentPage, pageSize) => {
+              expect(currentPage).toBe(CURRENT);
+              expect(pageSize).toBe(PAGE_SIZE);
+
+              return <text opacity={0.2}>DRAFT {currentPage}</text>;
+            }}
+          </background>
+        </document>,
+      );
+
+      expect(result).toEqual({
+        background: expect.any(Function),
+      });
+
+      expect(result.background(CURRENT, PAGE_SIZE)).toEqual({
+        stack: [{ text: 'DRAFT 2', opacity: 0.2 }],
+      });
+    });
+
+    it('should skip the background when the render prop returns nothing', async () => {
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <background>
+            {(currentPage) => currentPage === 1 && 'first'}
+          </background>
+        </document>,
+      );
+
+      expect(result.background(1)).toEqual({ stack: ['first'] });
+      expect(result.background(2)).toEqual({ stack: [] });
+    });
+
+    it('should allow watermark render prop', async () => {
+      const PAGE_SIZE = { width: 600, height: 800 };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <watermark opacity={0.2} angle={-45} fontSize={40}>
+            {(currentPage) => currentPage > 1 && 'COPY & PASTE'}
+          </watermark>
+        </document>,
+      );
+
+      expect(result).toEqual({
+        background: expect.any(Function),
+      });
+
+      expect(result.background(1, PAGE_SIZE)).toBeNull();
+      expect(result.background(2, PAGE_SIZE)).toEqual([
+        {
+          svg: expect.stringContaining('>COPY &amp; PASTE</text>'),
+          width: 600,
+          height: 800,
+          absolutePosition: { x: 0, y: 0 },
+        },
+      ]);
+
+      const [{ svg }] = result.background(2, PAGE_SIZE);
+      expect(svg).toContain('font-size="40"');
+      expect(svg).toContain('fill-opacity="0.2"');
+      expect(svg).toContain('transform="rotate(-45 300 400)"');
+    });
+
+    it('should draw watermark render props on top of the background', async () => {
+      const PAGE_SIZE = { width: 600, height: 800 };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <background>
+            <text>letterhead</text>
+          </background>
+          <watermark>{() => 'DRAFT'}</watermark>
+        </document>,
+      );
+
+      expect(result.background(1, PAGE_SIZE)).toEqual([
+        { stack: [{ text: 'letterhead' }] },
+        expect.objectContaining({ svg: expect.stringContaining('>DRAFT<') }),
+      ]);
+    });
+
+    it('should combine watermark and background render props', async () => {
+      const PAGE_SIZE = { width: 600, height: 800 };
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <background>
+            {(currentPage) => currentPage === 1 && 'cover'}
+          </background>
+          <watermark>{(currentPage) => currentPage > 1 && 'COPY'}</watermark>
+        </document>,
+      );
+
+      expect(result.background(1, PAGE_SIZE)).toEqual([{ stack: ['cover'] }]);
+      expect(result.background(2, PAGE_SIZE)).toEqual([
+        { stack: [] },
+        expect.objectContaining({ svg: expect.stringContaining('>COPY<') }),
+      ]);
+    });
+
+    it('should allow a component to decide on the watermark', async () => {
+      const Provider = (attributes, context, updateContext) => {
+        updateContext({ approved: attributes.approved });
+        return attributes.children[0];
+      };
+
+      const DraftWatermark = (attributes, { approved }) =>
+        !approved && <watermark text="DRAFT" />;
+
+      const Document = () => (
+        <document>
+          <DraftWatermark />
+          <content>Hello</content>
+        </document>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <Provider approved={false}>
+            <Document />
+          </Provider>,
+        ),
+      ).toEqual({
+        watermark: { text: 'DRAFT' },
+        content: { stack: ['Hello'] },
+      });
+
+      expect(
+        await JsxPdf.renderPdf(
+          <Provider approved>
+            <Document />
+          </Provider>,
+        ),
+      ).toEqual({
+        content: { stack: ['Hello'] },
+      });
+    });
+
+    it('should allow simple header & footer', async () => {
+      expect.assertions(1);
+
+      const result = await JsxPdf.renderPdf(
+        <document>
+          <header>
+            <text>I am the head</text>
+          </header>
+          <content>Hello</content>
+          <footer>
+            <text>I am the foot</text>
+          </footer>
+        </document>,
+      );
+
+      expect(result).toEqual({
+        content: { stack: ['Hello'] },
+        footer: { stack: [{ text: 'I am the foot' }] },
+        header: { stack: [{ text: 'I am the head' }] },
+      });
+    });
+
+    it('should set page margins', async () => {
+      expect(await JsxPdf.renderPdf(<document pageMargins={10} />)).toEqual({
+        pageMargins: 10,
+      });
+    });
+
+    ['title', 'author', 'subject', 'keywords'].forEach((field) => {
+      it(`should set ${field} in info`, async () => {
+        expect(
+          await JsxPdf.renderPdf(<document info={{ [field]: 'foo' }} />),
+        ).toEqual({
+          info: {
+            [field]: 'foo',
+          },
+        });
+      });
+    });
+
+    it('should error if a top-level element appears below the top level', async () => {
+      await expect(async () => {
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <stack>
+                <header />
+              </stack>
+            </content>
+          </document>,
+        );
+      }).rejects.toThrow(/immediate descendents/);
+    });
+
+    it('should error if a non-top-level element appears at the top level', async () => {
+      await expect(async () => {
+        await JsxPdf.renderPdf(
+          <document>
+            <text>oops!</text>
+            <content>
+              <text>¯\_(ツ)_/¯</text>
+            </content>
+          </document>,
+        );
+      }).rejects.toThrow(
+        /the <document> element can only contain <header>, <content>, <footer>, <background>, and <watermark> elements/i,
+      );
+    });
+
+    it('should error if document is not the root element', async () => {
+      await expect(async () => {
+        await JsxPdf.renderPdf(
+          <stack>
+            <text>foobar</text>
+          </stack>,
+        );
+      }).rejects.toThrow(/root/);
+    });
+
+    it('should error if a document appears below the top level', async () => {
+      await expect(async () => {
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <document />
+            </content>
+          </document>,
+        );
+      }).rejects.toThrow(/root/);
+    });
+
+    it('should not error if a top level element appears nested inside a function component', async () => {
+      const Nested = () => <content />;
+
+      await expect(async () => {
+        await JsxPdf.renderPdf(
+          <document>
+            <Nested />
+          </document>,
+        );
+      }).not.toThrow();
+    });
+
+    it('should resolve functional top level elements', async () => {
+      const Component = () => (
+        <content>
+          <text>test</text>
+        </content>
+      );
+
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <Component />
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [{ text: 'test' }],
+        },
+      });
+    });
+  });
+
+  describe('Fragment', () => {
+    it('should convert Fragments into a stack', async () => {
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <>
+                <text>Hello</text>
+                <text>World</text>
+              </>
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [
+            {
+              stack: [{ text: 'Hello' }, { text: 'World' }],
+            },
+          ],
+        },
+      });
+    });
+
+    it('should convert Fragments into a stack when a Component returns a Fragment', async () => {
+      const Component = () => (
+        <>
+          <text>Hello</text>
+          <text>World</text>
+        </>
+      );
+      expect(
+        await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <Component />
+            </content>
+          </document>,
+        ),
+      ).toEqual({
+        content: {
+          stack: [
+            {
+              stack: [{ text: 'Hello' }, { text: 'World' }],
+            },
+          ],
+        },
+      });
+    });
+  });
+
+  describe('primitives', () => {
+    describe('header', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <header>
+                <text>test header</text>
+              </header>
+            </document>,
+          ),
+        ).toEqual({
+          header: {
+            stack: [{ text: 'test header' }],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
               <header fontSize={18} bold>
                 <text>test header</text>
               </header>
             </document>,
           ),
         ).toEqual({
-          header: {
-            stack: [{ text: 'test header' }],
-            fontSize: 18,
-            bold: true,
+          header: {
+            stack: [{ text: 'test header' }],
+            fontSize: 18,
+            bold: true,
+          },
+        });
+      });
+    });
+
+    describe('content', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <text>test content</text>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [{ text: 'test content' }],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content fontSize={18} bold>
+                <text>test content</text>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [{ text: 'test content' }],
+            fontSize: 18,
+            bold: true,
+          },
+        });
+      });
+    });
+
+    describe('footer', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <footer>
+                <text>test footer</text>
+              </footer>
+            </document>,
+          ),
+        ).toEqual({
+          footer: {
+            stack: [{ text: 'test footer' }],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <footer fontSize={18} bold>
+                <text>test footer</text>
+              </footer>
+            </document>,
+          ),
+        ).toEqual({
+          footer: {
+            stack: [{ text: 'test footer' }],
+            fontSize: 18,
+            bold: true,
+          },
+        });
+      });
+    });
+
+    describe('background', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <background>
+                <text>test background</text>
+              </background>
+            </document>,
+          ),
+        ).toEqual({
+          background: {
+            stack: [{ text: 'test background' }],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <background margin={[20, 20]} opacity={0.5}>
+                <text>test background</text>
+              </background>
+            </document>,
+          ),
+        ).toEqual({
+          background: {
+            stack: [{ text: 'test background' }],
+            margin: [20, 20],
+            opacity: 0.5,
+          },
+        });
+      });
+
+      it('should only appear at the top level', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <background />
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(/immediate descendents/);
+      });
+    });
+
+    describe('watermark', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <watermark>CONFIDENTIAL</watermark>
+            </document>,
+          ),
+        ).toEqual({
+          watermark: { text: 'CONFIDENTIAL' },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <watermark text="CONFIDENTIAL" opacity={0.2} angle={-45} />
+            </document>,
+          ),
+        ).toEqual({
+          watermark: { text: 'CONFIDENTIAL', opacity: 0.2, angle: -45 },
+        });
+      });
+
+      it('should be replaced by a watermark below the top level', async () => {
+        const Approval = ({ approved }) =>
+          approved ? (
+            <watermark text="APPROVED" color="green" />
+          ) : (
+            <text>Pending</text>
+          );
+        const Signature = JsxPdf.memo(() => (
+          <stack>
+            <Approval approved />
+            <text>Signed</text>
+          </stack>
+        ));
+
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <watermark text="DRAFT" />
+              <content>
+                <Approval approved={false} />
+                <Signature />
+                <Signature />
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          watermark: { text: 'APPROVED', color: 'green' },
+          content: {
+            stack: [
+              { text: 'Pending' },
+              { stack: [{ text: 'Signed' }] },
+              { stack: [{ text: 'Signed' }] },
+            ],
+          },
+        });
+      });
+
+      it('should be replaced by a watermark render prop below the top level', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <watermark text="DRAFT" />
+            <content>
+              <watermark>
+                {(currentPage) => currentPage > 1 && 'COPY'}
+              </watermark>
+            </content>
+          </document>,
+        );
+
+        expect(result.watermark).toBeUndefined();
+        expect(result.content).toEqual({ stack: [] });
+        const pageSize = { width: 600, height: 800 };
+
+        expect(result.background(1, pageSize)).toBeNull();
+        expect(result.background(2, pageSize)).toEqual([
+          expect.objectContaining({ svg: expect.stringContaining('>COPY<') }),
+        ]);
+      });
+
+      it('should not be replaced by a watermark inside a failed error boundary', async () => {
+        const Broken = () => {
+          throw new Error('broken');
+        };
+
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <watermark text="DRAFT" />
+              <content>
+                <JsxPdf.ErrorBoundary>
+                  <watermark text="APPROVED" />
+                  <Broken />
+                </JsxPdf.ErrorBoundary>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          watermark: { text: 'DRAFT' },
+          content: { stack: [] },
+        });
+      });
+
+      it('should error if the watermarks below the top level conflict', async () => {
+        await expect(
+          JsxPdf.renderPdf(
+            <document>
+              <content>
+                <watermark text="APPROVED" />
+                <stack>
+                  <watermark text="REJECTED" />
+                </stack>
+              </content>
+            </document>,
+          ),
+        ).rejects.toThrow(
+          'Found conflicting <watermark> elements below the top level of the <document>',
+        );
+      });
+
+      it('should error if it appears inside a render function', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <header>{() => <watermark text="COPY" />}</header>
+          </document>,
+        );
+
+        expect(() => result.header(1, 1, { width: 600, height: 800 })).toThrow(
+          "A <watermark> can't be used inside a render function",
+        );
+      });
+
+      it('should estimate the font size of watermark render props', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <watermark bold italics font="OpenSans" color="red">
+              {() => <Copy />}
+            </watermark>
+          </document>,
+        );
+
+        function Copy() {
+          return 'COPY';
+        }
+
+        const [{ svg }] = result.background(1, { width: 500, height: 500 });
+        const [, fontSize] = svg.match(/font-size="([\d.]+)"/);
+
+        expect(Number(fontSize)).toBeGreaterThan(100);
+        expect(Number(fontSize)).toBeLessThan(500);
+        expect(svg).toContain('font-family="OpenSans"');
+        expect(svg).toContain('font-weight="bold"');
+        expect(svg).toContain('font-style="italic"');
+        expect(svg).toContain('fill="red"');
+        expect(svg).toContain('transform="rotate(-45 250 250)"');
+      });
+    });
+
+    describe('text', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <text>test text</text>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                text: 'test text',
+              },
+            ],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <text color="blue" bold>
+                  test text
+                </text>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                text: 'test text',
+                color: 'blue',
+                bold: true,
+              },
+            ],
+          },
+        });
+      });
+    });
+
+    describe('link', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <link href="https://example.org">example.org</link>
+                <link page={2}>next page</link>
+                <text id="clause-3">Clause 3</text>
+                <link to="clause-3">see clause 3</link>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              { text: 'example.org', link: 'https://example.org' },
+              { text: 'next page', linkToPage: 2 },
+              { text: 'Clause 3', id: 'clause-3' },
+              { text: 'see clause 3', linkToDestination: 'clause-3' },
+            ],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <link
+                  href="https://example.org"
+                  color="blue"
+                  decoration="underline"
+                >
+                  example.org
+                </link>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                text: 'example.org',
+                link: 'https://example.org',
+                color: 'blue',
+                decoration: 'underline',
+              },
+            ],
+          },
+        });
+      });
+
+      it('should link every piece of text inside the link', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <text>
+                  Read the{' '}
+                  <link href="https://example.org">
+                    full <text bold>terms</text>
+                  </link>
+                  .
+                </text>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                text: [
+                  'Read the ',
+                  {
+                    text: [
+                      { text: 'full ', link: 'https://example.org' },
+                      {
+                        text: 'terms',
+                        link: 'https://example.org',
+                        bold: true,
+                      },
+                    ],
+                    link: 'https://example.org',
+                  },
+                  '.',
+                ],
+              },
+            ],
+          },
+        });
+      });
+
+      it('should link text nested inside other text', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <link to="terms">
+                  <text italics>
+                    the <text bold>terms</text>
+                  </text>
+                </link>
+                <text id="terms">Terms</text>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                text: [
+                  {
+                    text: [
+                      {
+                        text: 'the ',
+                        linkToDestination: 'terms',
+                        italics: true,
+                      },
+                      {
+                        text: 'terms',
+                        linkToDestination: 'terms',
+                        italics: true,
+                        bold: true,
+                      },
+                    ],
+                    linkToDestination: 'terms',
+                    italics: true,
+                  },
+                ],
+                linkToDestination: 'terms',
+              },
+              { text: 'Terms', id: 'terms' },
+            ],
+          },
+        });
+      });
+
+      it('should link images', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <link href="https://example.org">
+                <image src="logo.png" width={50} />
+              </link>
+            </content>
+          </document>,
+        );
+
+        expect(result.content.stack).toEqual([
+          {
+            image: expect.stringMatching(/^image-/),
+            width: 50,
+            link: 'https://example.org',
+          },
+        ]);
+      });
+
+      it('should error without a target', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <link>nowhere</link>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(
+          'The <link> element needs an href, page or to attribute',
+        );
+      });
+
+      it('should error if an id does not exist', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <text id="clause-1">Clause 1</text>
+                <link to="clause-1">see clause 1</link>
+                <link to="clause-2">see clause 2</link>
+                <text linkToDestination="clause-3">see clause 3</text>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(
+          `Found links to ids which don't exist: "clause-2", "clause-3"`,
+        );
+      });
+
+      it('should allow links to ids further down the document', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <link to="appendix">see the appendix</link>
+              </content>
+              <footer>
+                <text id="appendix">Appendix</text>
+              </footer>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              { text: 'see the appendix', linkToDestination: 'appendix' },
+            ],
+          },
+          footer: { stack: [{ text: 'Appendix', id: 'appendix' }] },
+        });
+      });
+
+      it('should not check links in render functions', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <footer>
+              {(currentPage) => (
+                <text id={`page-${currentPage}`}>
+                  <link to="missing">link</link>
+                </text>
+              )}
+            </footer>
+          </document>,
+        );
+
+        expect(result.footer(1).stack).toEqual([
+          {
+            text: [{ text: 'link', linkToDestination: 'missing' }],
+            id: 'page-1',
+          },
+        ]);
+        expect(result.footer(2).stack[0].id).toBe('page-2');
+      });
+    });
+
+    describe('id', () => {
+      it('should move the id of an element onto the first text inside it', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <stack id="section-1">
+                  <columns>
+                    <column>
+                      <image src={Buffer.from('logo')} />
+                    </column>
+                    <column>Section 1</column>
+                  </columns>
+                </stack>
+                <table id="table-1">
+                  <row>
+                    <cell>
+                      <ul>
+                        <text>first</text>
+                      </ul>
+                    </cell>
+                  </row>
+                </table>
+                <ol id="list-1">{42}</ol>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                stack: [
+                  {
+                    columns: [
+                      { stack: [{ image: Buffer.from('logo') }] },
+                      { stack: [{ text: 'Section 1', id: 'section-1' }] },
+                    ],
+                  },
+                ],
+              },
+              {
+                table: {
+                  body: [
+                    [{ stack: [{ ul: [{ text: 'first', id: 'table-1' }] }] }],
+                  ],
+                },
+              },
+              { ol: [{ text: 42, id: 'list-1' }] },
+            ],
+          },
+        });
+      });
+
+      it('should error if an id is used twice', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <text id="intro">Intro</text>
+                <text id="intro">Intro again</text>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow('Found more than one element with the id "intro"');
+      });
+
+      it('should anchor the id of an element without text', async () => {
+        const anchor = (id) => ({
+          text: ' ',
+          id,
+          relativePosition: { x: 0, y: 0 },
+        });
+
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <link to="chart">Chart</link>
+                <stack id="logo">
+                  <image src={Buffer.from('logo')} />
+                </stack>
+                <pageBreak id="photos" />
+                <columns>
+                  <image
+                    id="photo"
+                    src={Buffer.from('photo')}
+                    width={50}
+                    margin={5}
+                  />
+                  <qr id="chart" content="42" />
+                </columns>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              { text: 'Chart', linkToDestination: 'chart' },
+              { stack: [anchor('logo'), { image: Buffer.from('logo') }] },
+              { pageBreak: 'before', stack: [anchor('photos')] },
+              {
+                columns: [
+                  {
+                    width: 50,
+                    margin: 5,
+                    stack: [anchor('photo'), { image: Buffer.from('photo') }],
+                  },
+                  { stack: [anchor('chart'), { qr: '42' }] },
+                ],
+              },
+            ],
+          },
+        });
+      });
+
+      it('should error if the first text already has an id', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <stack id="chapter-1">
+                  <text id="heading-1">Chapter 1</text>
+                </stack>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(
+          `The id "chapter-1" can't be used since the first text inside it already has the id "heading-1"`,
+        );
+      });
+    });
+
+    describe('inline text', () => {
+      [
+        ['span', {}],
+        ['b', { bold: true }],
+        ['i', { italics: true }],
+        ['u', { decoration: 'underline' }],
+        ['s', { decoration: 'lineThrough' }],
+        ['sup', { sup: true }],
+        ['sub', { sub: true }],
+      ].forEach(([Element, properties]) => {
+        it(`should convert <${Element}>`, async () => {
+          expect(
+            await JsxPdf.renderPdf(
+              <document>
+                <content>
+                  <text>
+                    x<Element color="red">2</Element>
+                  </text>
+                </content>
+              </document>,
+            ),
+          ).toEqual({
+            content: {
+              stack: [
+                { text: ['x', { text: '2', color: 'red', ...properties }] },
+              ],
+            },
+          });
+        });
+      });
+
+      it('should merge the properties of nested inline elements', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <text>
+                  The{' '}
+                  <b>
+                    <i>very</i> <u>important</u>{' '}
+                    <s style="removed">
+                      <u style="changed">terms</u>
+                    </s>
+                  </b>
+                </text>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                text: [
+                  'The ',
+                  {
+                    text: [
+                      { text: 'very', bold: true, italics: true },
+                      { text: ' ', bold: true },
+                      {
+                        text: 'important',
+                        bold: true,
+                        decoration: 'underline',
+                      },
+                      { text: ' ', bold: true },
+                      {
+                        text: [
+                          {
+                            text: 'terms',
+                            bold: true,
+                            decoration: ['lineThrough', 'underline'],
+                            style: ['removed', 'changed'],
+                          },
+                        ],
+                        bold: true,
+                        decoration: 'lineThrough',
+                        style: 'removed',
+                      },
+                    ],
+                    bold: true,
+                  },
+                ],
+              },
+            ],
+          },
+        });
+      });
+
+      it('should apply properties to text elements inside inline elements', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <b>
+                  <text id="intro" margin={[0, 10]} color="red">
+                    Hello, <i>Bob</i>
+                  </text>
+                </b>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                text: [
+                  {
+                    text: [
+                      { text: 'Hello, ', bold: true, color: 'red' },
+                      {
+                        text: 'Bob',
+                        bold: true,
+                        color: 'red',
+                        italics: true,
+                      },
+                    ],
+                    bold: true,
+                    id: 'intro',
+                    margin: [0, 10],
+                    color: 'red',
+                  },
+                ],
+                bold: true,
+              },
+            ],
+          },
+        });
+      });
+    });
+
+    describe('image', () => {
+      it('should be converted', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <image src="/users/bob/photo.png" />
+            </content>
+          </document>,
+        );
+
+        expect(result).toEqual({
+          content: {
+            stack: [
+              {
+                image: expect.stringMatching(/^image-/),
+              },
+            ],
+          },
+          images: {
+            [result.content.stack[0].image]: '/users/bob/photo.png',
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <image src="/users/bob/photo.png" margin={[0, 40, 10, 30]} />
+            </content>
+          </document>,
+        );
+
+        expect(result).toEqual({
+          content: {
+            stack: [
+              {
+                image: expect.stringMatching(/^image-/),
+                margin: [0, 40, 10, 30],
+              },
+            ],
+          },
+          images: {
+            [result.content.stack[0].image]: '/users/bob/photo.png',
+          },
+        });
+      });
+
+      it('should only add each image to the document once', async () => {
+        const logo = 'data:image/png;base64,bG9nbw==';
+        const photo = 'data:image/png;base64,cGhvdG8=';
+
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <image src={logo} />
+              <image src={photo} />
+              <image src={logo} width={10} />
+            </content>
+          </document>,
+        );
+
+        const [first, second, third] = result.content.stack;
+
+        expect(first.image).toBe(third.image);
+        expect(first.image).not.toBe(second.image);
+        expect(result.images).toEqual({
+          [first.image]: logo,
+          [second.image]: photo,
+        });
+      });
+
+      it('should use the same keys regardless of the order of the images', async () => {
+        const render = (sources) =>
+          JsxPdf.renderPdf(
+            <document>
+              <content>
+                {sources.map((source) => (
+                  <image src={source} />
+                ))}
+              </content>
+            </document>,
+          );
+
+        const { images: forwards } = await render(['a.png', 'b.png']);
+        const { images: backwards } = await render(['b.png', 'a.png']);
+
+        expect(forwards).toEqual(backwards);
+      });
+
+      it('should keep images from the images of the document', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document images={{ logo: '/users/bob/logo.png' }}>
+              <content>
+                <image src="logo" />
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: { stack: [{ image: 'logo' }] },
+          images: { logo: '/users/bob/logo.png' },
+        });
+      });
+
+      it('should not overwrite images of the document with the same key', async () => {
+        const render = (images) =>
+          JsxPdf.renderPdf(
+            <document images={images}>
+              <content>
+                <image src="photo.png" />
+              </content>
+            </document>,
+          );
+
+        const key = (await render()).content.stack[0].image;
+        const result = await render({ [key]: 'other.png' });
+
+        expect(result).toEqual({
+          content: { stack: [{ image: `${key}-1` }] },
+          images: { [key]: 'other.png', [`${key}-1`]: 'photo.png' },
+        });
+      });
+
+      it('should reuse registered images in render functions', async () => {
+        const result = await JsxPdf.renderPdf(
+          <document>
+            <content>
+              <image src="logo.png" />
+            </content>
+            <footer>
+              {() => (
+                <>
+                  <image src="logo.png" />
+                  <image src="signature.png" />
+                </>
+              )}
+            </footer>
+          </document>,
+        );
+
+        expect(result.footer(1, 1)).toEqual({
+          stack: [
+            {
+              stack: [
+                { image: result.content.stack[0].image },
+                { image: 'signature.png' },
+              ],
+            },
+          ],
+        });
+        expect(Object.values(result.images)).toEqual(['logo.png']);
+      });
+
+      it('should leave images which are not strings inline', async () => {
+        const buffer = Buffer.from('image');
+
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <image src={buffer} />
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: { stack: [{ image: buffer }] },
+        });
+      });
+    });
+
+    describe('svg', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <svg
+                  content={`
+                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
+                      <circle fill="red" cx="50" cy="50" r="50"/>
+                    </svg>
+                  `}
+                />
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                svg: `
+                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
+                      <circle fill="red" cx="50" cy="50" r="50"/>
+                    </svg>
+                  `,
+              },
+            ],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <svg
+                  content={`
+                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
+                      <circle fill="red" cx="50" cy="50" r="50"/>
+                    </svg>
+                  `}
+                  margin={[0, 40, 10, 30]}
+                />
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                svg: `
+                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
+                      <circle fill="red" cx="50" cy="50" r="50"/>
+                    </svg>
+                  `,
+                margin: [0, 40, 10, 30],
+              },
+            ],
+          },
+        });
+      });
+    });
+
+    describe('qr', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <qr content="my text" />
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                qr: 'my text',
+              },
+            ],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <qr content="my text" foreground="#f9c7bf" />
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                qr: 'my text',
+                foreground: '#f9c7bf',
+              },
+            ],
           },
         });
       });
     });
 
-    describe('content', () => {
-      it('should be converted', async () => {
+    describe('canvas', () => {
+      it('should be converted', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <canvas>
+                  <line x1={0} y1={0} x2={515} y2={0} />
+                </canvas>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              { canvas: [{ type: 'line', x1: 0, y1: 0, x2: 515, y2: 0 }] },
+            ],
+          },
+        });
+      });
+
+      it('should set passed attributes', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <canvas absolutePosition={{ x: 10, y: 20 }}>
+                  <rect x={0} y={0} w={100} h={50} r={5} lineColor="red" />
+                </canvas>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                canvas: [
+                  {
+                    type: 'rect',
+                    x: 0,
+                    y: 0,
+                    w: 100,
+                    h: 50,
+                    r: 5,
+                    lineColor: 'red',
+                  },
+                ],
+                absolutePosition: { x: 10, y: 20 },
+              },
+            ],
+          },
+        });
+      });
+
+      it('should convert every shape', async () => {
+        const points = [
+          { x: 0, y: 0 },
+          { x: 10, y: 10 },
+          { x: 20, y: 0 },
+        ];
+
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <text>test content</text>
+                <canvas>
+                  <rect x={0} y={0} w={10} h={10} color="blue" />
+                  <line x1={0} y1={0} x2={10} y2={0} dash={{ length: 5 }} />
+                  <polyline points={points} closePath lineWidth={2} />
+                  <ellipse x={5} y={5} r1={5} r2={3} />
+                </canvas>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
-            stack: [{ text: 'test content' }],
+            stack: [
+              {
+                canvas: [
+                  { type: 'rect', x: 0, y: 0, w: 10, h: 10, color: 'blue' },
+                  {
+                    type: 'line',
+                    x1: 0,
+                    y1: 0,
+                    x2: 10,
+                    y2: 0,
+                    dash: { length: 5 },
+                  },
+                  { type: 'polyline', points, closePath: true, lineWidth: 2 },
+                  { type: 'ellipse', x: 5, y: 5, r1: 5, r2: 3 },
+                ],
+              },
+            ],
           },
         });
       });
 
-      it('should set passed attributes', async () => {
+      it('should allow shapes to be wrapped in components', async () => {
+        const SignatureLine = ({ width }) => (
+          <>
+            <line x1={0} y1={40} x2={width} y2={40} />
+            <>
+              <ellipse x={0} y={40} r1={2} r2={2} />
+            </>
+          </>
+        );
+
         expect(
           await JsxPdf.renderPdf(
             <document>
-              <content fontSize={18} bold>
-                <text>test content</text>
+              <content>
+                <canvas>
+                  <SignatureLine width={200} />
+                  {false}
+                </canvas>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
-            stack: [{ text: 'test content' }],
-            fontSize: 18,
-            bold: true,
+            stack: [
+              {
+                canvas: [
+                  { type: 'line', x1: 0, y1: 40, x2: 200, y2: 40 },
+                  { type: 'ellipse', x: 0, y: 40, r1: 2, r2: 2 },
+                ],
+              },
+            ],
           },
         });
       });
+
+      it('should error if the canvas contains something other than shapes', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <canvas>
+                  <rect x={0} y={0} w={10} h={10} />
+                  <text>not a shape</text>
+                </canvas>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(
+          'The <canvas> element can only contain <rect>, <line>, <polyline>, and <ellipse> elements',
+        );
+      });
     });
 
-    describe('footer', () => {
+    describe('toc', () => {
       it('should be converted', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
-              <footer>
-                <text>test footer</text>
-              </footer>
+              <content>
+                <toc title="Contents" />
+                <text tocItem>Chapter one</text>
+              </content>
             </document>,
           ),
         ).toEqual({
-          footer: {
-            stack: [{ text: 'test footer' }],
+          content: {
+            stack: [
+              { toc: { title: 'Contents' } },
+              { text: 'Chapter one', tocItem: true },
+            ],
           },
         });
       });
@@ -864,215 +4132,368 @@ describe('#jsx-pdf', () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
-              <footer fontSize={18} bold>
-                <text>test footer</text>
-              </footer>
+              <content>
+                <toc
+                  id="figures"
+                  title="Figures"
+                  textStyle={{ italics: true }}
+                  numberStyle={{ bold: true }}
+                  textMargin={[0, 5, 0, 0]}
+                  pageBreak="after"
+                />
+                <text tocItem="figures" tocMargin={[10, 0, 0, 0]}>
+                  Figure 1
+                </text>
+              </content>
             </document>,
           ),
         ).toEqual({
-          footer: {
-            stack: [{ text: 'test footer' }],
-            fontSize: 18,
-            bold: true,
+          content: {
+            stack: [
+              {
+                toc: {
+                  id: 'figures',
+                  title: 'Figures',
+                  textStyle: { italics: true },
+                  numberStyle: { bold: true },
+                  textMargin: [0, 5, 0, 0],
+                },
+                pageBreak: 'after',
+              },
+              {
+                text: 'Figure 1',
+                tocItem: 'figures',
+                tocMargin: [10, 0, 0, 0],
+              },
+            ],
           },
         });
       });
-    });
 
-    describe('text', () => {
-      it('should be converted', async () => {
+      it('should use the children as the title', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <text>test text</text>
+                <toc>
+                  <text bold>Contents</text>
+                </toc>
+                <toc id="figures">
+                  <text bold>Figures</text>
+                  <text italics>in order of appearance</text>
+                </toc>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { toc: { title: { text: 'Contents', bold: true } } },
               {
-                text: 'test text',
+                toc: {
+                  id: 'figures',
+                  title: {
+                    stack: [
+                      { text: 'Figures', bold: true },
+                      { text: 'in order of appearance', italics: true },
+                    ],
+                  },
+                },
               },
             ],
           },
         });
       });
 
-      it('should set passed attributes', async () => {
+      it('should error if the title is given as an attribute and as children', async () => {
+        await expect(
+          JsxPdf.renderPdf(
+            <document>
+              <content>
+                <toc title="Contents">
+                  <text>Child</text>
+                </toc>
+              </content>
+            </document>,
+          ),
+        ).rejects.toThrow(
+          'The <toc> element takes its title either from the title attribute or from its children, not both',
+        );
+      });
+    });
+
+    describe('pageBreak', () => {
+      it('should be converted', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <text color="blue" bold>
-                  test text
-                </text>
+                <text>one</text>
+                <pageBreak />
+                <text>two</text>
+                <pageBreak pageOrientation="landscape" />
+                <text>three</text>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { text: 'one' },
+              { stack: [], pageBreak: 'before' },
+              { text: 'two' },
               {
-                text: 'test text',
-                color: 'blue',
-                bold: true,
+                stack: [],
+                pageBreak: 'before',
+                pageOrientation: 'landscape',
               },
+              { text: 'three' },
             ],
           },
         });
       });
-    });
 
-    describe('image', () => {
-      it('should be converted', async () => {
+      it('should not create blank pages', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <image src="/users/bob/photo.png" />
+                <pageBreak pageOrientation="landscape" />
+                <text>one</text>
+                <pageBreak pageOrientation="portrait" />
+                <pageBreak />
+                <text>two</text>
+                <pageBreak />
+                <pageBreak />
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { stack: [] },
+              { text: 'one' },
+              { stack: [] },
               {
-                image: '/users/bob/photo.png',
+                stack: [],
+                pageBreak: 'before',
+                pageOrientation: 'portrait',
               },
+              { text: 'two' },
+              { stack: [] },
+              { stack: [] },
             ],
           },
+          pageOrientation: 'landscape',
         });
       });
+    });
 
-      it('should set passed attributes', async () => {
+    describe('section', () => {
+      it('should start and end on a new page', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <image src="/users/bob/photo.png" margin={[0, 40, 10, 30]} />
+                <text>report</text>
+                <section pageOrientation="landscape" margin={10}>
+                  <text>appendix</text>
+                </section>
+                <text>summary</text>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { text: 'report' },
               {
-                image: '/users/bob/photo.png',
-                margin: [0, 40, 10, 30],
+                stack: [
+                  {
+                    stack: [{ text: 'appendix' }],
+                    margin: 10,
+                    pageBreak: 'before',
+                    pageOrientation: 'landscape',
+                  },
+                ],
+                pageBreak: 'after',
+                pageOrientation: 'portrait',
               },
+              { text: 'summary' },
             ],
           },
         });
       });
-    });
 
-    describe('svg', () => {
-      it('should be converted', async () => {
+      it('should restore the orientation of the enclosing section', async () => {
         expect(
           await JsxPdf.renderPdf(
-            <document>
+            <document pageOrientation="landscape">
               <content>
-                <svg
-                  content={`
-                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-                      <circle fill="red" cx="50" cy="50" r="50"/>
-                    </svg>
-                  `}
-                />
+                <text>report</text>
+                <section pageOrientation="portrait">
+                  <text>appendix</text>
+                  <section>
+                    <text>table</text>
+                  </section>
+                  <text>notes</text>
+                </section>
+                <text>summary</text>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { text: 'report' },
               {
-                svg: `
-                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-                      <circle fill="red" cx="50" cy="50" r="50"/>
-                    </svg>
-                  `,
+                stack: [
+                  {
+                    stack: [
+                      { text: 'appendix' },
+                      {
+                        stack: [
+                          {
+                            stack: [{ text: 'table' }],
+                            pageBreak: 'before',
+                          },
+                        ],
+                        pageBreak: 'after',
+                        pageOrientation: 'portrait',
+                      },
+                      { text: 'notes' },
+                    ],
+                    pageBreak: 'before',
+                    pageOrientation: 'portrait',
+                  },
+                ],
+                pageBreak: 'after',
+                pageOrientation: 'landscape',
               },
+              { text: 'summary' },
             ],
           },
+          pageOrientation: 'landscape',
         });
       });
 
-      it('should set passed attributes', async () => {
+      it('should restore the orientation of an earlier page break', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <svg
-                  content={`
-                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-                      <circle fill="red" cx="50" cy="50" r="50"/>
-                    </svg>
-                  `}
-                  margin={[0, 40, 10, 30]}
-                />
+                <text>a</text>
+                <pageBreak pageOrientation="landscape" />
+                <text>b</text>
+                <section pageOrientation="portrait">
+                  <text>c</text>
+                </section>
+                <text>d</text>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { text: 'a' },
               {
-                svg: `
-                    <svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-                      <circle fill="red" cx="50" cy="50" r="50"/>
-                    </svg>
-                  `,
-                margin: [0, 40, 10, 30],
+                stack: [],
+                pageBreak: 'before',
+                pageOrientation: 'landscape',
+              },
+              { text: 'b' },
+              {
+                stack: [
+                  {
+                    stack: [{ text: 'c' }],
+                    pageBreak: 'before',
+                    pageOrientation: 'portrait',
+                  },
+                ],
+                pageBreak: 'after',
+                pageOrientation: 'landscape',
               },
+              { text: 'd' },
             ],
           },
         });
       });
-    });
 
-    describe('qr', () => {
-      it('should be converted', async () => {
+      it('should not create blank pages between or around sections', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <qr content="my text" />
+                <section pageOrientation="landscape">
+                  <text>one</text>
+                </section>
+                <section>
+                  <text>two</text>
+                </section>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { stack: [{ stack: [{ text: 'one' }] }] },
               {
-                qr: 'my text',
+                stack: [
+                  {
+                    stack: [{ text: 'two' }],
+                    pageBreak: 'before',
+                    pageOrientation: 'portrait',
+                  },
+                ],
               },
             ],
           },
+          pageOrientation: 'landscape',
         });
       });
 
-      it('should set passed attributes', async () => {
+      it('should move the id onto the first text', async () => {
         expect(
           await JsxPdf.renderPdf(
             <document>
               <content>
-                <qr content="my text" foreground="#f9c7bf" />
+                <text>report</text>
+                <section id="appendix">
+                  <text>appendix</text>
+                </section>
               </content>
             </document>,
           ),
         ).toEqual({
           content: {
             stack: [
+              { text: 'report' },
               {
-                qr: 'my text',
-                foreground: '#f9c7bf',
+                stack: [
+                  {
+                    stack: [{ text: 'appendix', id: 'appendix' }],
+                    pageBreak: 'before',
+                  },
+                ],
               },
             ],
           },
         });
       });
+
+      it('should error if a page size is given', async () => {
+        await expect(
+          JsxPdf.renderPdf(
+            <document>
+              <content>
+                <section pageSize="A3">
+                  <text>appendix</text>
+                </section>
+              </content>
+            </document>,
+          ),
+        ).rejects.toThrow(/can only change the pageOrientation/);
+      });
     });
 
     describe('stack', () => {
@@ -1302,6 +4723,201 @@ describe('#jsx-pdf', () => {
         });
       });
 
+      it('should convert rows and cells', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <table widths={['*', '*']}>
+                  <row>
+                    <cell>A</cell>
+                    <cell>B</cell>
+                  </row>
+                  <row>
+                    <cell>C</cell>
+                    <cell>D</cell>
+                  </row>
+                </table>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                table: {
+                  body: [
+                    [{ stack: ['A'] }, { stack: ['B'] }],
+                    [{ stack: ['C'] }, { stack: ['D'] }],
+                  ],
+                  widths: ['*', '*'],
+                },
+              },
+            ],
+          },
+        });
+      });
+
+      it('should add placeholder cells for colSpan and rowSpan', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <table widths={['*', '*', '*']}>
+                  <row>
+                    <cell colSpan={3}>Header</cell>
+                  </row>
+                  <row>
+                    <cell rowSpan={2}>Tall</cell>
+                    <cell colSpan={2} rowSpan={2}>
+                      Big
+                    </cell>
+                  </row>
+                  <row />
+                  <row>
+                    <cell>A</cell>
+                    <cell rowSpan={2}>B</cell>
+                    <cell>C</cell>
+                  </row>
+                  <row>
+                    <cell>D</cell>
+                    <cell>E</cell>
+                  </row>
+                </table>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                table: {
+                  body: [
+                    [{ stack: ['Header'], colSpan: 3 }, {}, {}],
+                    [
+                      { stack: ['Tall'], rowSpan: 2 },
+                      { stack: ['Big'], colSpan: 2, rowSpan: 2 },
+                      {},
+                    ],
+                    [{}, {}, {}],
+                    [
+                      { stack: ['A'] },
+                      { stack: ['B'], rowSpan: 2 },
+                      { stack: ['C'] },
+                    ],
+                    [{ stack: ['D'] }, {}, { stack: ['E'] }],
+                  ],
+                  widths: ['*', '*', '*'],
+                },
+              },
+            ],
+          },
+        });
+      });
+
+      it('should error if a row does not match the widths', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <table widths={['*', '*', '*']}>
+                  <row>
+                    <cell colSpan={3}>Header</cell>
+                  </row>
+                  <row>
+                    <cell colSpan={2}>A</cell>
+                    <cell>B</cell>
+                  </row>
+                  <row>
+                    <cell colSpan={2}>C</cell>
+                  </row>
+                </table>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(
+          'Row 3 of the <table> has 2 columns, but its widths specify 3',
+        );
+      });
+
+      it('should error if a row does not match the first row', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <table>
+                  <row>
+                    <cell>A</cell>
+                    <cell>B</cell>
+                  </row>
+                  <row>
+                    <cell>C</cell>
+                    <cell>D</cell>
+                    <cell>E</cell>
+                  </row>
+                </table>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(
+          'Row 2 of the <table> has 3 columns, but the first row has 2',
+        );
+      });
+
+      it('should take the number of columns from the first row when the widths are a string', async () => {
+        expect(
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <table widths="*">
+                  <row>
+                    <cell>A</cell>
+                    <cell>B</cell>
+                  </row>
+                </table>
+              </content>
+            </document>,
+          ),
+        ).toEqual({
+          content: {
+            stack: [
+              {
+                table: {
+                  body: [[{ stack: ['A'] }, { stack: ['B'] }]],
+                  widths: '*',
+                },
+              },
+            ],
+          },
+        });
+      });
+
+      it('should error if a rowSpan runs past the last row', async () => {
+        await expect(async () => {
+          await JsxPdf.renderPdf(
+            <document>
+              <content>
+                <table>
+                  <row>
+                    <cell>A</cell>
+                    <cell>B</cell>
+                  </row>
+                  <row>
+                    <cell rowSpan={3}>C</cell>
+                    <cell>D</cell>
+                  </row>
+                  <row>
+                    <cell>E</cell>
+                  </row>
+                </table>
+              </content>
+            </document>,
+          );
+        }).rejects.toThrow(
+          'The rowSpan of the cell in row 2 of the <table> runs past its last row',
+        );
+      });
+
       describe('row', () => {
         it('should be converted', async () => {
           expect(
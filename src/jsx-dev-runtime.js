@@ -0,0 +1,22 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// the name of the module is given by the automatic JSX runtime
+/* eslint-disable unicorn/prevent-abbreviations */
+
+import { jsx } from './jsx-runtime';
+
+/**
+ * The development variant of the automatic JSX runtime, which keeps the
+ * `{ fileName, lineNumber, columnNumber }` location of each element so that errors
+ * can point to where the element was written.
+ */
+export function jsxDEV(elementName, props, key, isStaticChildren, source) {
+  const element = jsx(elementName, props, key);
+
+  return source ? { ...element, source } : element;
+}
+
+export { Fragment } from './jsx-runtime';
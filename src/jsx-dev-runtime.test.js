@@ -0,0 +1,85 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+/* eslint-disable unicorn/prevent-abbreviations */
+
+import JsxPdf from '.';
+import { Fragment, jsxDEV } from './jsx-dev-runtime';
+
+const getSource = (lineNumber) => ({
+  fileName: '/app/invoice.jsx',
+  lineNumber,
+  columnNumber: 5,
+});
+
+describe('jsx-dev-runtime', () => {
+  it('should keep the source of elements', () => {
+    expect(
+      jsxDEV('text', { children: 'hello' }, 'intro', false, getSource(3)),
+    ).toEqual({ ...(<text key="intro">hello</text>), source: getSource(3) });
+    expect(jsxDEV(Fragment, {}, undefined, false)).toEqual(<></>);
+  });
+
+  it('should point errors to the source of the innermost element', async () => {
+    const Total = () => {
+      throw new Error('No line items');
+    };
+    const Invoice = () =>
+      jsxDEV(
+        'stack',
+        { children: jsxDEV(Total, {}, undefined, false, getSource(12)) },
+        undefined,
+        false,
+        getSource(11),
+      );
+
+    await expect(
+      JsxPdf.renderPdf(
+        jsxDEV(
+          'document',
+          {
+            children: jsxDEV(
+              'content',
+              { children: jsxDEV(Invoice, {}, undefined, false, getSource(4)) },
+              undefined,
+              false,
+              getSource(3),
+            ),
+          },
+          undefined,
+          false,
+          getSource(2),
+        ),
+      ),
+    ).rejects.toMatchObject({
+      componentPath: 'document > content > Invoice > stack > Total',
+      componentSource: '/app/invoice.jsx:12:5',
+    });
+  });
+
+  it('should leave errors without a source when no element has one', async () => {
+    const Total = () => {
+      throw new Error('No line items');
+    };
+
+    const error = await JsxPdf.renderPdf(
+      <document>
+        <content>
+          {jsxDEV(
+            'text',
+            { children: 'total' },
+            undefined,
+            false,
+            getSource(4),
+          )}
+          <Total />
+        </content>
+      </document>,
+    ).catch((err) => err);
+
+    expect(error.componentPath).toBe('document > content > Total');
+    expect(error).not.toHaveProperty('componentSource');
+  });
+});
@@ -0,0 +1,28 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// libs
+import isUndefined from 'lodash/isUndefined';
+
+import JsxPdf from '.';
+
+const { createElement, Fragment } = JsxPdf;
+
+/**
+ * The automatic JSX runtime passes the children among the props and the key on its
+ * own, which is turned back into the arguments of `createElement`.
+ */
+export function jsx(elementName, { children, ...attributes }, key) {
+  return createElement(
+    elementName,
+    isUndefined(key) ? attributes : { ...attributes, key },
+    isUndefined(children) ? [] : children,
+  );
+}
+
+// static children only matter to React, which warns about missing keys otherwise
+export const jsxs = jsx;
+
+export { Fragment };
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import JsxPdf from '.';
+import { Fragment, jsx, jsxs } from './jsx-runtime';
+
+describe('jsx-runtime', () => {
+  it('should create the same elements as createElement', () => {
+    expect(jsx('text', { bold: true, children: 'hello' })).toEqual(
+      <text bold>hello</text>,
+    );
+    expect(jsxs('text', { children: ['total: ', 42] }, 'total')).toEqual(
+      <text key="total">total: {42}</text>,
+    );
+    expect(jsx('image', { src: 'logo.png' })).toEqual(<image src="logo.png" />);
+  });
+
+  it('should render documents with components and fragments', async () => {
+    const Total = ({ amount }) =>
+      jsxs('text', { children: ['total: ', amount] });
+
+    expect(
+      await JsxPdf.renderPdf(
+        jsx('document', {
+          children: jsx('content', {
+            children: jsxs(Fragment, {
+              children: [
+                jsx('text', { children: 'invoice' }),
+                jsx(Total, { amount: 42 }),
+              ],
+            }),
+          }),
+        }),
+      ),
+    ).toEqual(
+      await JsxPdf.renderPdf(
+        <document>
+          <content>
+            <>
+              <text>invoice</text>
+              <text>total: {42}</text>
+            </>
+          </content>
+        </document>,
+      ),
+    );
+  });
+});
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// libs
+import fs from 'fs';
+import path from 'path';
+import transformModules from '@babel/plugin-transform-modules-commonjs';
+import transformJsx from '@babel/plugin-transform-react-jsx';
+import registerBabel from '@babel/register';
+import flatten from 'lodash/flatten';
+import mapValues from 'lodash/mapValues';
+
+const fontStyles = {
+  regular: 'normal',
+  normal: 'normal',
+  bold: 'bold',
+  italic: 'italics',
+  oblique: 'italics',
+  bolditalic: 'bolditalics',
+  boldoblique: 'bolditalics',
+};
+
+// invalid arguments exit with 2, so scripts can tell them apart from render failures
+export class UsageError extends Error {}
+
+// templates which import JsxPdf keep using its element factory
+function usesJsxPdf(file) {
+  return /\bJsxPdf\b/.test(fs.readFileSync(file, 'utf8'));
+}
+
+/*
+ * Lets templates and font configs use JSX and ES modules without a build step,
+ * wherever they are. The project's own babel config is ignored so that it
+ * can't change the pragma. Other templates get the automatic runtime of this
+ * copy of jsx-pdf, since it may not be installed next to them.
+ */
+export function registerJsx() {
+  registerBabel({
+    babelrc: false,
+    configFile: false,
+    extensions: ['.js', '.jsx'],
+    ignore: [/node_modules/],
+    plugins: [
+      transformModules,
+      [transformJsx, { runtime: 'automatic', importSource: __dirname }],
+    ],
+    overrides: [
+      {
+        test: usesJsxPdf,
+        plugins: [
+          [
+            transformJsx,
+            { pragma: 'JsxPdf.createElement', pragmaFrag: 'JsxPdf.Fragment' },
+          ],
+        ],
+      },
+    ],
+  });
+}
+
+export function requireDefault(file) {
+  const exported = require(path.resolve(file)); // eslint-disable-line global-require, import/no-dynamic-require
+  return (exported && exported.default) || exported;
+}
+
+function readStream(stream) {
+  return new Promise((onEnd, onError) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => onEnd(Buffer.concat(chunks).toString()));
+    stream.on('error', onError);
+  });
+}
+
+export async function readProps(file, stdin) {
+  if (!file) {
+    return {};
+  }
+  const json =
+    file === '-' ? await readStream(stdin) : await fs.promises.readFile(file);
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    throw new UsageError(
+      `Could not parse the props in ${file === '-' ? 'stdin' : file}: ${
+        err.message
+      }`,
+    );
+  }
+}
+
+async function findFontFiles(directory) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const file = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        return findFontFiles(file);
+      }
+      return /\.(ttf|otf)$/i.test(entry.name) ? [file] : [];
+    }),
+  );
+  return flatten(files);
+}
+
+/*
+ * Groups font files by family using the Family-Style naming of most font
+ * packages, e.g. OpenSans-BoldItalic.ttf. Styles a family lacks fall back to
+ * its regular font.
+ */
+async function readFontDirectory(directory) {
+  const families = (await findFontFiles(directory)).reduce((fonts, file) => {
+    const name = path.basename(file, path.extname(file));
+    const match = /^(.+)-([^-]+)$/.exec(name);
+    const style = match && fontStyles[match[2].toLowerCase()];
+    const family = style ? match[1] : name;
+    return {
+      ...fonts,
+      [family]: { ...fonts[family], [style || 'normal']: file },
+    };
+  }, {});
+
+  return mapValues(families, (fonts) => {
+    const fallback = fonts.normal || Object.values(fonts)[0];
+    return {
+      normal: fallback,
+      bold: fallback,
+      italics: fallback,
+      bolditalics: fallback,
+      ...fonts,
+    };
+  });
+}
+
+export async function readFonts(fontsPath) {
+  const stats = await fs.promises.stat(fontsPath);
+  if (stats.isDirectory()) {
+    return readFontDirectory(fontsPath);
+  }
+
+  // paths in the config are relative to it, like the paths of imports
+  const fonts = requireDefault(fontsPath);
+  const directory = path.dirname(path.resolve(fontsPath));
+  return Object.entries(fonts).reduce(
+    (families, [family, styles]) => ({
+      ...families,
+      [family]: Object.entries(styles).reduce(
+        (resolved, [style, font]) => ({
+          ...resolved,
+          [style]:
+            typeof font === 'string' ? path.resolve(directory, font) : font,
+        }),
+        {},
+      ),
+    }),
+    {},
+  );
+}
+
+// the names babel gives to anonymous default exports
+const generatedNames = new Set(['', 'default', '_default']);
+
+export function loadTemplate(file) {
+  const Template = requireDefault(file);
+  if (typeof Template !== 'function') {
+    throw new UsageError(`${file} must export a component as its default`);
+  }
+
+  // component paths start with the template, so anonymous ones are named after the file
+  if (!Template.displayName && generatedNames.has(Template.name)) {
+    Template.displayName = path.basename(file, path.extname(file));
+  }
+  return Template;
+}
@@ -0,0 +1,245 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// libs
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { URL, URLSearchParams } from 'url';
+import escape from 'lodash/escape';
+
+import JsxPdf from '.';
+import { loadTemplate, readFonts, readProps } from './loaders';
+
+const watchInterval = 250;
+
+// modules of the project, which have to be loaded again when they change
+const isProjectModule = (file) =>
+  !file.startsWith(`${__dirname}${path.sep}`) &&
+  !file.split(path.sep).includes('node_modules');
+
+const getFixtureName = (file) => path.basename(file, '.json');
+
+const getProjectModules = () =>
+  Object.keys(require.cache).filter((file) => isProjectModule(file));
+
+const styles = `
+  body { display: flex; flex-direction: column; height: 100vh; margin: 0; font-family: sans-serif; }
+  nav { display: flex; gap: 1em; padding: 0.5em 1em; background: #eee; }
+  nav a { color: inherit; }
+  nav .selected { font-weight: bold; text-decoration: none; }
+  main { flex: 1; overflow: auto; }
+  iframe { width: 100%; height: 100%; border: 0; }
+  pre { margin: 1em; }
+  .error { color: #b00020; }
+`;
+
+async function listFixtures(props) {
+  if (!props) {
+    return [];
+  }
+  if (!(await fs.promises.stat(props)).isDirectory()) {
+    return [path.resolve(props)];
+  }
+  const files = await fs.promises.readdir(props);
+  return files
+    .filter((file) => path.extname(file) === '.json')
+    .sort()
+    .map((file) => path.resolve(props, file));
+}
+
+/*
+ * Polls the files, which unlike fs.watch keeps working when editors replace a
+ * file on save. Files stay watched once they have been used.
+ */
+function createWatcher(onChange) {
+  const files = new Set();
+  return {
+    watch(file) {
+      if (!files.has(file)) {
+        files.add(file);
+        fs.watchFile(file, { interval: watchInterval }, (current, previous) => {
+          if (current.mtimeMs !== previous.mtimeMs) {
+            onChange();
+          }
+        });
+      }
+    },
+    close() {
+      files.forEach((file) => fs.unwatchFile(file));
+      files.clear();
+    },
+  };
+}
+
+function send(response, status, contentType, body) {
+  response.writeHead(status, { 'Content-Type': contentType });
+  response.end(body);
+}
+
+function renderLink(label, query, isSelected) {
+  return `<a href="/?${new URLSearchParams(query)}"${
+    isSelected ? ' class="selected"' : ''
+  }>${escape(label)}</a>`;
+}
+
+function renderNavigation({ fixtures, fixture, view }) {
+  const query = fixture ? { fixture } : {};
+  return [
+    renderLink('PDF', query, view === 'pdf'),
+    renderLink('JSON', { ...query, view: 'json' }, view === 'json'),
+    ...fixtures.map((name) =>
+      renderLink(name, { fixture: name, view }, name === fixture),
+    ),
+  ].join('\n');
+}
+
+function renderError(err) {
+  return `<pre class="error">${escape(err.message)}${
+    err.componentPath ? `\n  in ${escape(err.componentPath)}` : ''
+  }\n\n${escape(err.stack)}</pre>`;
+}
+
+function renderPage(title, navigation, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(title)} - jsx-pdf preview</title>
+<style>${styles}</style>
+</head>
+<body>
+<nav>${navigation}</nav>
+<main>${body}</main>
+<script>
+new EventSource('/events').onmessage = () => window.location.reload();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Creates a server previewing the template with each fixture in the props
+ * directory, or with the props file. It renders the template again on every
+ * request, and tells the pages to reload when a file used by the template,
+ * the fixtures or the fonts change.
+ *
+ * Returns `{ server, close }`, where `server` has yet to listen and
+ * `close` stops watching the files and closes the server.
+ */
+export default function createPreviewServer(template, { props, fonts }) {
+  const title = path.basename(template);
+  const clients = new Set();
+  const watcher = createWatcher(() => {
+    getProjectModules().forEach((file) => {
+      delete require.cache[file];
+    });
+    clients.forEach((response) => response.write('data: reload\n\n'));
+  });
+
+  [template, props, fonts].filter(Boolean).forEach((file) => {
+    watcher.watch(path.resolve(file));
+  });
+
+  const subscribe = (request, response) => {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+    });
+    response.flushHeaders();
+    clients.add(response);
+    request.on('close', () => clients.delete(response));
+  };
+
+  const preview = async (pathname, query, response) => {
+    const view = query.get('view') === 'json' ? 'json' : 'pdf';
+    const state = { fixtures: [], view };
+    try {
+      const files = await listFixtures(props);
+      files.forEach((file) => watcher.watch(file));
+      state.fixtures = files.map((file) => getFixtureName(file));
+      state.fixture = query.get('fixture') || state.fixtures[0];
+      const file = files[state.fixtures.indexOf(state.fixture)];
+      if (query.has('fixture') && !file) {
+        send(
+          response,
+          404,
+          'text/html',
+          renderPage(
+            title,
+            renderNavigation(state),
+            `<pre class="error">No fixture named ${escape(
+              state.fixture,
+            )}</pre>`,
+          ),
+        );
+        return;
+      }
+
+      const element = JsxPdf.createElement(
+        loadTemplate(template),
+        await readProps(file),
+      );
+      getProjectModules().forEach((projectModule) =>
+        watcher.watch(projectModule),
+      );
+
+      if (pathname === '/pdf') {
+        send(
+          response,
+          200,
+          'application/pdf',
+          await JsxPdf.renderToBuffer(element, {
+            fonts: await readFonts(fonts),
+          }),
+        );
+        return;
+      }
+
+      const definition = await JsxPdf.renderPdf(element);
+      const body =
+        view === 'json'
+          ? `<pre>${escape(JSON.stringify(definition, null, 2))}</pre>`
+          : `<iframe src="/pdf?${new URLSearchParams(
+              state.fixture ? { fixture: state.fixture } : {},
+            )}"></iframe>`;
+      send(
+        response,
+        200,
+        'text/html',
+        renderPage(title, renderNavigation(state), body),
+      );
+    } catch (err) {
+      send(
+        response,
+        500,
+        'text/html',
+        renderPage(title, renderNavigation(state), renderError(err)),
+      );
+    }
+  };
+
+  const server = http.createServer((request, response) => {
+    const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+    if (pathname === '/events') {
+      subscribe(request, response);
+    } else if (pathname === '/' || pathname === '/pdf') {
+      preview(pathname, searchParams, response);
+    } else {
+      send(response, 404, 'text/plain', 'Not found');
+    }
+  });
+
+  const close = () => {
+    watcher.close();
+    clients.forEach((response) => response.end());
+    return new Promise((onClose, onError) =>
+      server.close((err) => (err ? onError(err) : onClose())),
+    );
+  };
+
+  return { server, close };
+}
@@ -0,0 +1,247 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import PdfPrinter from 'pdfmake';
+import createPreviewServer from './preview';
+
+jest.mock('pdfmake', () => jest.fn());
+
+const get = (url) =>
+  new Promise((onResponse, onError) => {
+    http
+      .get(url, (response) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () =>
+          onResponse({
+            status: response.statusCode,
+            contentType: response.headers['content-type'],
+            body: Buffer.concat(chunks).toString(),
+          }),
+        );
+      })
+      .on('error', onError);
+  });
+
+describe('createPreviewServer', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsx-pdf-'));
+  let previews = [];
+
+  const writeFile = (name, contents) => {
+    const file = path.join(directory, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  // templates are plain CommonJS, as the JSX transform is registered by the CLI
+  const writeTemplate = (name, body) =>
+    writeFile(
+      name,
+      `const JsxPdf = require(${JSON.stringify(
+        path.resolve(__dirname, 'index.js'),
+      )}).default;
+      ${body}`,
+    );
+
+  const invoice = writeTemplate(
+    'invoice.js',
+    `module.exports = ({ customer }) =>
+      JsxPdf.createElement('document', null,
+        JsxPdf.createElement('content', null, 'Invoice for <' + customer + '>'));`,
+  );
+  const fixtures = path.join(directory, 'fixtures');
+  writeFile('fixtures/acme.json', '{ "customer": "ACME" }');
+  writeFile('fixtures/globex.json', '{ "customer": "Globex" }');
+  writeFile('fixtures/README.md', 'Sample customers');
+  const fonts = writeFile(
+    'fonts.json',
+    JSON.stringify({ OpenSans: { normal: 'OpenSans-Regular.ttf' } }),
+  );
+
+  const startPreview = async (template, options) => {
+    const preview = createPreviewServer(template, options);
+    previews.push(preview);
+    await new Promise((onListening) =>
+      preview.server.listen(0, '127.0.0.1', onListening),
+    );
+    return {
+      ...preview,
+      url: `http://127.0.0.1:${preview.server.address().port}`,
+    };
+  };
+
+  beforeEach(() => {
+    PdfPrinter.mockClear();
+    PdfPrinter.mockImplementation(() => ({
+      createPdfKitDocument: (definition) => {
+        const pdf = new PassThrough();
+        pdf.write(`PDF of ${JSON.stringify(definition)}`);
+
+        return pdf;
+      },
+    }));
+  });
+
+  afterEach(async () => {
+    await Promise.all(previews.map(({ close }) => close()));
+    previews = [];
+  });
+
+  afterAll(() => {
+    // Node.js 12 only has the recursive rmdirSync, which later versions deprecate
+    (fs.rmSync || fs.rmdirSync)(directory, { recursive: true });
+  });
+
+  it('should show the PDF of the first fixture and link to the others', async () => {
+    const { url } = await startPreview(invoice, { props: fixtures, fonts });
+
+    const page = await get(`${url}/`);
+
+    expect(page.status).toBe(200);
+    expect(page.contentType).toBe('text/html');
+    expect(page.body).toContain('<title>invoice.js - jsx-pdf preview</title>');
+    expect(page.body).toContain('<iframe src="/pdf?fixture=acme"></iframe>');
+    expect(page.body).toContain(
+      '<a href="/?fixture=acme&view=pdf" class="selected">acme</a>',
+    );
+    expect(page.body).toContain(
+      '<a href="/?fixture=globex&view=pdf">globex</a>',
+    );
+    expect(page.body).not.toContain('README');
+    expect(page.body).toContain("new EventSource('/events')");
+  });
+
+  it('should render the PDF of a fixture with the fonts', async () => {
+    const { url } = await startPreview(invoice, { props: fixtures, fonts });
+
+    expect(await get(`${url}/pdf?fixture=globex`)).toEqual({
+      status: 200,
+      contentType: 'application/pdf',
+      body: 'PDF of {"content":{"stack":["Invoice for <Globex>"]}}',
+    });
+    expect(PdfPrinter).toHaveBeenCalledWith({
+      OpenSans: { normal: path.join(directory, 'OpenSans-Regular.ttf') },
+    });
+  });
+
+  it('should show the document definition of a fixture', async () => {
+    const { url } = await startPreview(invoice, { props: fixtures, fonts });
+
+    const page = await get(`${url}/?fixture=globex&view=json`);
+
+    expect(page.status).toBe(200);
+    expect(page.body).toContain('&quot;Invoice for &lt;Globex&gt;&quot;');
+    expect(page.body).toContain(
+      '<a href="/?fixture=globex&view=json" class="selected">JSON</a>',
+    );
+  });
+
+  it('should preview a single props file or no props at all', async () => {
+    const props = path.join(fixtures, 'acme.json');
+    const withProps = await startPreview(invoice, { props, fonts });
+    const withoutProps = await startPreview(invoice, { fonts });
+
+    expect((await get(`${withProps.url}/pdf`)).body).toContain(
+      'Invoice for <ACME>',
+    );
+    expect((await get(`${withoutProps.url}/`)).body).toContain(
+      '<iframe src="/pdf?"></iframe>',
+    );
+    expect((await get(`${withoutProps.url}/pdf`)).body).toContain(
+      'Invoice for <undefined>',
+    );
+  });
+
+  it('should show render errors with the component path', async () => {
+    const broken = writeTemplate(
+      'broken.js',
+      `const Total = () => { throw new Error('No <line> items'); };
+      module.exports = function Invoice() {
+        return JsxPdf.createElement('document', null,
+          JsxPdf.createElement('content', null, JsxPdf.createElement(Total)));
+      };`,
+    );
+    const { url } = await startPreview(broken, { props: fixtures, fonts });
+
+    const page = await get(`${url}/?fixture=globex`);
+
+    expect(page.status).toBe(500);
+    expect(page.body).toContain(
+      '<pre class="error">No &lt;line&gt; items\n  in Invoice &gt; document &gt; content &gt; Total',
+    );
+    expect(page.body).toContain('<a href="/?fixture=acme&view=pdf">acme</a>');
+  });
+
+  it('should show errors without a component path', async () => {
+    const { url } = await startPreview(invoice, {
+      props: path.join(directory, 'missing'),
+      fonts,
+    });
+
+    const page = await get(`${url}/`);
+
+    expect(page.status).toBe(500);
+    expect(page.body).toMatch(/<pre class="error">ENOENT[^\n]*\n\nError:/);
+  });
+
+  it('should respond with 404 for unknown fixtures and paths', async () => {
+    const { url } = await startPreview(invoice, { props: fixtures, fonts });
+
+    const page = await get(`${url}/?fixture=initech`);
+
+    expect(page.status).toBe(404);
+    expect(page.body).toContain('No fixture named initech');
+    expect(await get(`${url}/favicon.ico`)).toEqual({
+      status: 404,
+      contentType: 'text/plain',
+      body: 'Not found',
+    });
+  });
+
+  it('should tell the pages to reload when a file changes', async () => {
+    const props = writeFile('reload/acme.json', '{ "customer": "ACME" }');
+    const { url } = await startPreview(invoice, {
+      props: path.dirname(props),
+      fonts,
+    });
+    await get(`${url}/`);
+
+    const event = await new Promise((onEvent, onError) => {
+      http
+        .get(`${url}/events`, (response) => {
+          expect(response.headers['content-type']).toBe('text/event-stream');
+          response.once('data', (chunk) => {
+            response.destroy();
+            onEvent(chunk.toString());
+          });
+          fs.utimesSync(props, new Date(), new Date(Date.now() + 1000));
+        })
+        .on('error', onError);
+    });
+
+    expect(event).toBe('data: reload\n\n');
+  });
+
+  it('should end the event streams when closed', async () => {
+    const preview = await startPreview(invoice, { fonts });
+    const events = new Promise((onEnd) => {
+      http.get(`${preview.url}/events`, (response) => {
+        response.resume();
+        response.on('end', onEnd);
+        previews = [];
+        preview.close();
+      });
+    });
+
+    await expect(events).resolves.toBeUndefined();
+    await expect(preview.close()).rejects.toThrow('Server is not running');
+  });
+});
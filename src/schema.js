@@ -0,0 +1,538 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// libs
+import isNil from 'lodash/isNil';
+import isPlainObject from 'lodash/isPlainObject';
+import last from 'lodash/last';
+
+const type = (...types) => ({ types });
+const oneOf = (...values) => ({ values });
+
+const string = type('string');
+const number = type('number');
+const boolean = type('boolean');
+const array = type('array');
+const object = type('object');
+
+// style properties, which pdfmake lets every node pass on to the text inside it
+const styleAttributes = {
+  style: type('string', 'array'),
+  font: string,
+  fontSize: number,
+  fontFeatures: array,
+  lineHeight: number,
+  bold: boolean,
+  italics: boolean,
+  alignment: oneOf('left', 'center', 'right', 'justify'),
+  characterSpacing: number,
+  color: string,
+  background: string,
+  markerColor: string,
+  decoration: { ...oneOf('underline', 'lineThrough', 'overline'), ...array },
+  decorationStyle: oneOf('dashed', 'dotted', 'double', 'wavy'),
+  decorationColor: string,
+  fillColor: string,
+  fillOpacity: number,
+  opacity: number,
+  columnGap: number,
+  noWrap: boolean,
+  wordBreak: oneOf('normal', 'break-all'),
+  preserveLeadingSpaces: boolean,
+  preserveTrailingSpaces: boolean,
+  leadingIndent: number,
+  sup: boolean,
+  sub: boolean,
+  link: string,
+  linkToPage: number,
+  linkToDestination: string,
+};
+
+const nodeAttributes = {
+  ...styleAttributes,
+  // JSX users are used to adding keys to lists, which jsx-pdf doesn't need but allows
+  key: type('string', 'number'),
+  // kept in the output when rendering in test mode, for jsx-pdf/testing to find
+  testId: string,
+  id: string,
+  margin: type('number', 'array'),
+  marginLeft: number,
+  marginTop: number,
+  marginRight: number,
+  marginBottom: number,
+  pageBreak: oneOf(
+    'before',
+    'after',
+    'beforeOdd',
+    'beforeEven',
+    'afterOdd',
+    'afterEven',
+  ),
+  pageOrientation: oneOf('portrait', 'landscape'),
+  headlineLevel: number,
+  unbreakable: boolean,
+  absolutePosition: object,
+  relativePosition: object,
+  tocItem: type('boolean', 'string', 'array'),
+  tocStyle: type('string', 'array', 'object'),
+  tocMargin: type('number', 'array'),
+  tocNumberStyle: type('string', 'array', 'object'),
+};
+
+// attributes which only mean something to the parent of an element
+export const parentAttributes = {
+  row: {
+    colSpan: number,
+    rowSpan: number,
+    border: array,
+    borderColor: array,
+  },
+  columns: { width: type('number', 'string') },
+  ul: { listType: string },
+  ol: { listType: string, counter: number },
+};
+
+const strokeAttributes = {
+  key: nodeAttributes.key,
+  testId: string,
+  lineWidth: number,
+  lineColor: string,
+  strokeOpacity: number,
+  dash: object,
+  lineCap: oneOf('butt', 'round', 'square'),
+  lineJoin: oneOf('miter', 'round', 'bevel'),
+};
+
+// pdfmake fills every shape except for lines
+const fillAttributes = {
+  color: string,
+  fillOpacity: number,
+  linearGradient: array,
+};
+
+const topLevelElements = [
+  'header',
+  'content',
+  'footer',
+  'background',
+  'watermark',
+];
+const inlineElements = [
+  'text',
+  'span',
+  'b',
+  'i',
+  'u',
+  's',
+  'sup',
+  'sub',
+  'link',
+];
+const vectorElements = ['rect', 'line', 'polyline', 'ellipse'];
+
+// elements which have a place of their own, and can't appear amongst other content
+const placedElements = new Set([
+  'document',
+  ...topLevelElements,
+  'row',
+  ...vectorElements,
+]);
+
+const flow = 'flow';
+
+const inlineElementSchema = {
+  children: inlineElements,
+  text: true,
+  attributes: nodeAttributes,
+};
+
+const containerSchema = {
+  children: flow,
+  text: true,
+  attributes: nodeAttributes,
+};
+
+const unorderedListSchema = {
+  ...containerSchema,
+  attributes: { ...nodeAttributes, type: string },
+};
+
+const orderedListSchema = {
+  ...containerSchema,
+  attributes: {
+    ...unorderedListSchema.attributes,
+    separator: type('string', 'array'),
+    reversed: boolean,
+    start: number,
+  },
+};
+
+/**
+ * @template T
+ * @param {T} attributes
+ */
+const voidSchema = (attributes) => ({
+  children: [],
+  text: false,
+  attributes: { ...nodeAttributes, ...attributes },
+});
+
+/**
+ * @template T
+ * @param {T} attributes
+ */
+const vectorSchema = (attributes) => ({
+  children: [],
+  text: false,
+  attributes: { ...strokeAttributes, ...attributes },
+});
+
+/**
+ * The children, text and attributes each intrinsic element accepts, which are checked
+ * when rendering with the `strict` option. `children` lists the elements allowed
+ * inside, or is `flow` for any element without a place of its own. <styles> and
+ * <watermark> can appear anywhere.
+ *
+ * The attributes have to match the declarations in index.d.ts, which is checked by
+ * the type tests.
+ */
+export const elementSchemas = {
+  document: {
+    children: topLevelElements,
+    text: false,
+    attributes: {
+      pageSize: type('string', 'object'),
+      pageOrientation: nodeAttributes.pageOrientation,
+      pageMargins: type('number', 'array'),
+      info: object,
+      defaultStyle: object,
+      styles: object,
+      images: object,
+      compress: boolean,
+      userPassword: string,
+      ownerPassword: string,
+      permissions: object,
+      version: string,
+      subset: string,
+      tagged: boolean,
+      displayTitle: boolean,
+      language: string,
+      pageBreakBefore: type('function'),
+    },
+  },
+  header: containerSchema,
+  content: containerSchema,
+  footer: containerSchema,
+  background: containerSchema,
+  watermark: {
+    children: [],
+    text: true,
+    attributes: {
+      key: nodeAttributes.key,
+      text: string,
+      font: string,
+      fontSize: number,
+      color: string,
+      opacity: number,
+      bold: boolean,
+      italics: boolean,
+      angle: number,
+    },
+  },
+  stack: containerSchema,
+  column: containerSchema,
+  cell: containerSchema,
+  section: {
+    ...containerSchema,
+    // only to give the reason why a section can't change it
+    attributes: { ...nodeAttributes, pageSize: type('string', 'object') },
+  },
+  columns: containerSchema,
+  ul: unorderedListSchema,
+  ol: orderedListSchema,
+  toc: {
+    ...containerSchema,
+    attributes: {
+      ...nodeAttributes,
+      title: type('string', 'object'),
+      textStyle: type('string', 'array', 'object'),
+      numberStyle: type('string', 'array', 'object'),
+      textMargin: type('number', 'array'),
+    },
+  },
+  text: inlineElementSchema,
+  span: inlineElementSchema,
+  b: inlineElementSchema,
+  i: inlineElementSchema,
+  u: inlineElementSchema,
+  s: inlineElementSchema,
+  sup: inlineElementSchema,
+  sub: inlineElementSchema,
+  link: {
+    children: [...inlineElements, 'image'],
+    text: true,
+    attributes: { ...nodeAttributes, href: string, page: number, to: string },
+  },
+  image: voidSchema({
+    src: type('string', 'buffer'),
+    width: number,
+    height: number,
+    fit: array,
+    cover: object,
+  }),
+  svg: voidSchema({
+    content: string,
+    width: number,
+    height: number,
+    fit: array,
+  }),
+  qr: voidSchema({
+    content: string,
+    foreground: string,
+    fit: number,
+    version: number,
+    eccLevel: oneOf('L', 'M', 'Q', 'H'),
+    mode: oneOf('numeric', 'alphanumeric', 'octet'),
+    mask: number,
+    padding: number,
+  }),
+  table: {
+    children: ['row'],
+    text: false,
+    attributes: {
+      ...nodeAttributes,
+      widths: type('string', 'array'),
+      heights: type('number', 'array', 'function'),
+      headerRows: number,
+      dontBreakRows: boolean,
+      keepWithHeaderRows: number,
+      layout: type('string', 'object'),
+    },
+  },
+  row: { children: flow, text: true, attributes: { key: nodeAttributes.key } },
+  canvas: {
+    // Fragments of shapes resolve to a stack, which the canvas unwraps
+    children: [...vectorElements, 'stack'],
+    text: false,
+    attributes: nodeAttributes,
+  },
+  rect: vectorSchema({
+    ...fillAttributes,
+    x: number,
+    y: number,
+    w: number,
+    h: number,
+    r: number,
+  }),
+  line: vectorSchema({ x1: number, y1: number, x2: number, y2: number }),
+  polyline: vectorSchema({
+    ...fillAttributes,
+    points: array,
+    closePath: boolean,
+  }),
+  ellipse: vectorSchema({
+    ...fillAttributes,
+    x: number,
+    y: number,
+    r1: number,
+    r2: number,
+  }),
+  pageBreak: voidSchema({}),
+  // the attributes of <styles> are the names of the styles it declares
+  styles: { children: [], text: false, attributes: null },
+};
+
+const elementNames = Object.keys(elementSchemas);
+const flowElements = elementNames.filter(
+  (elementName) => !placedElements.has(elementName),
+);
+
+/**
+ * The number of characters which have to be inserted or deleted to turn one string
+ * into the other, so that leaving out a letter counts for less than a wrong letter.
+ */
+function getEditDistance(from, to) {
+  let previousRow = Array.from({ length: to.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= from.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= to.length; j += 1) {
+      row[j] =
+        from[i - 1] === to[j - 1]
+          ? previousRow[j - 1]
+          : Math.min(previousRow[j], row[j - 1]) + 1;
+    }
+    previousRow = row;
+  }
+
+  return last(previousRow);
+}
+
+// suggests the closest candidate, as long as about two thirds of it are the same
+function suggest(name, candidates, format) {
+  const lowerCaseName = `${name}`.toLowerCase();
+  const maxDistance = Math.max(1, Math.floor(lowerCaseName.length / 3));
+  let suggestion;
+  let suggestionDistance = maxDistance + 1;
+
+  candidates.forEach((candidate) => {
+    const distance = getEditDistance(
+      lowerCaseName,
+      `${candidate}`.toLowerCase(),
+    );
+    if (distance < suggestionDistance) {
+      suggestion = candidate;
+      suggestionDistance = distance;
+    }
+  });
+
+  return isNil(suggestion) ? '' : `, did you mean ${format(suggestion)}?`;
+}
+
+const formatTag = (elementName) => `<${elementName}>`;
+const formatValue = (value) =>
+  typeof value === 'function' ? 'a function' : JSON.stringify(value);
+const formatList = (items) =>
+  items.length > 1
+    ? `${items.slice(0, -1).join(', ')} or ${last(items)}`
+    : items[0];
+
+function matchesType(value, typeName) {
+  switch (typeName) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'buffer':
+      return Buffer.isBuffer(value);
+    default:
+      // eslint-disable-next-line valid-typeof -- the other type names are those of typeof
+      return typeof value === typeName;
+  }
+}
+
+function findAttributeViolation(elementName, name, value, spec) {
+  const { types = [], values = [] } = spec;
+  if (
+    types.some((typeName) => matchesType(value, typeName)) ||
+    values.includes(value)
+  ) {
+    return null;
+  }
+
+  const expected = formatList([
+    ...types.map((typeName) =>
+      /^[aeiou]/.test(typeName) ? `an ${typeName}` : `a ${typeName}`,
+    ),
+    ...values.map((allowedValue) => formatValue(allowedValue)),
+  ]);
+  const suggestion =
+    typeof value === 'string' ? suggest(value, values, formatValue) : '';
+
+  return `The ${name} attribute of <${elementName}> must be ${expected}, received ${formatValue(
+    value,
+  )}${suggestion}`;
+}
+
+function findAttributeViolations(elementName, attributes, parentName) {
+  const allowedAttributes = {
+    ...elementSchemas[elementName].attributes,
+    ...parentAttributes[parentName],
+  };
+
+  return (
+    Object.entries(attributes)
+      // components often spread their props, children included, onto an element
+      .filter(([name, value]) => !isNil(value) && name !== 'children')
+      .map(([name, value]) => {
+        if (elementName === 'styles') {
+          return isPlainObject(value)
+            ? null
+            : `The ${name} style declared by <styles> must be an object, received ${formatValue(
+                value,
+              )}`;
+        }
+
+        if (!allowedAttributes[name]) {
+          return `Unknown attribute ${name} on <${elementName}>${suggest(
+            name,
+            Object.keys(allowedAttributes),
+            (suggestion) => suggestion,
+          )}`;
+        }
+
+        return findAttributeViolation(
+          elementName,
+          name,
+          value,
+          allowedAttributes[name],
+        );
+      })
+      .filter(Boolean)
+  );
+}
+
+function findPlacementViolation(elementName, parentName) {
+  // elements outside of the <document>, and misplaced top level elements, are
+  // reported whether or not the rendering is strict
+  if (
+    !elementSchemas[parentName] ||
+    parentName === 'document' ||
+    elementName === 'styles' ||
+    elementName === 'document' ||
+    topLevelElements.includes(elementName)
+  ) {
+    return null;
+  }
+
+  const { children } = elementSchemas[parentName];
+  const allowedChildren = children === flow ? flowElements : children;
+
+  if (allowedChildren.includes(elementName)) {
+    return null;
+  }
+
+  if (children === flow) {
+    return `The <${parentName}> element can't contain <${elementName}> elements`;
+  }
+
+  return children.length === 0
+    ? `The <${parentName}> element can't contain other elements, found <${elementName}>`
+    : `The <${parentName}> element can only contain ${formatList(
+        children.map((child) => formatTag(child)),
+      )} elements, found <${elementName}>`;
+}
+
+/**
+ * Checks an element or text against the schema of its parent and its own, returning
+ * a message for each problem.
+ */
+export default function findSchemaViolations(tag, parentName) {
+  if (typeof tag === 'string' || typeof tag === 'number') {
+    return elementSchemas[parentName] && !elementSchemas[parentName].text
+      ? [`The <${parentName}> element can't contain text, found "${tag}"`]
+      : [];
+  }
+
+  const { elementName, attributes } = tag;
+  if (typeof elementName !== 'string') {
+    return [];
+  }
+
+  if (!elementSchemas[elementName]) {
+    return [
+      `Unknown element <${elementName}>${suggest(
+        elementName,
+        elementNames,
+        formatTag,
+      )}`,
+    ];
+  }
+
+  return [
+    findPlacementViolation(elementName, parentName),
+    ...findAttributeViolations(elementName, attributes, parentName),
+  ].filter(Boolean);
+}
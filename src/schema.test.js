@@ -0,0 +1,155 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import JsxPdf from '.';
+import findSchemaViolations from './schema';
+
+describe('findSchemaViolations', () => {
+  it('should accept elements which match the schema', () => {
+    expect(
+      findSchemaViolations(
+        <text
+          fontSize={12}
+          margin={[0, 5]}
+          alignment="center"
+          relativePosition={{ x: 0, y: 5 }}
+          key="intro"
+        >
+          hello
+        </text>,
+        'content',
+      ),
+    ).toEqual([]);
+  });
+
+  it('should ignore components and missing attributes', () => {
+    const Total = () => null;
+
+    expect(findSchemaViolations(<Total />, 'content')).toEqual([]);
+    expect(
+      findSchemaViolations(<text bold={undefined} color={null} />, 'content'),
+    ).toEqual([]);
+  });
+
+  describe('elements', () => {
+    it('should suggest the closest element for unknown elements', () => {
+      expect(findSchemaViolations(<colums />, 'content')).toEqual([
+        'Unknown element <colums>, did you mean <columns>?',
+      ]);
+      expect(
+        findSchemaViolations(JsxPdf.createElement('Text'), 'content'),
+      ).toEqual(['Unknown element <Text>, did you mean <text>?']);
+    });
+
+    it('should not suggest elements which are too different', () => {
+      expect(findSchemaViolations(<paragraph />, 'content')).toEqual([
+        'Unknown element <paragraph>',
+      ]);
+    });
+
+    it('should only allow elements where they can be placed', () => {
+      expect(findSchemaViolations(<row />, 'content')).toEqual([
+        "The <content> element can't contain <row> elements",
+      ]);
+      expect(findSchemaViolations(<cell />, 'table')).toEqual([
+        'The <table> element can only contain <row> elements, found <cell>',
+      ]);
+      expect(findSchemaViolations(<stack />, 'text')).toEqual([
+        'The <text> element can only contain <text>, <span>, <b>, <i>, <u>, <s>, <sup>, <sub> or <link> elements, found <stack>',
+      ]);
+      expect(findSchemaViolations(<text />, 'image')).toEqual([
+        "The <image> element can't contain other elements, found <text>",
+      ]);
+    });
+
+    it('should leave the top level and styles to the document', () => {
+      expect(findSchemaViolations(<content />, 'document')).toEqual([]);
+      expect(findSchemaViolations(<header />, 'stack')).toEqual([]);
+      expect(findSchemaViolations(<document />, 'stack')).toEqual([]);
+      expect(findSchemaViolations(<styles />, 'image')).toEqual([]);
+      expect(findSchemaViolations(<text />, 'paragraph')).toEqual([]);
+    });
+
+    it('should only allow text where pdfmake expects it', () => {
+      expect(findSchemaViolations('hello', 'stack')).toEqual([]);
+      expect(findSchemaViolations('hello', 'table')).toEqual([
+        'The <table> element can\'t contain text, found "hello"',
+      ]);
+      expect(findSchemaViolations(42, 'canvas')).toEqual([
+        'The <canvas> element can\'t contain text, found "42"',
+      ]);
+      expect(findSchemaViolations('hello', 'paragraph')).toEqual([]);
+    });
+  });
+
+  describe('attributes', () => {
+    it('should suggest the closest attribute for unknown attributes', () => {
+      expect(findSchemaViolations(<text fontsize={12} />, 'content')).toEqual([
+        'Unknown attribute fontsize on <text>, did you mean fontSize?',
+      ]);
+      expect(findSchemaViolations(<image source="logo.png" />)).toEqual([
+        'Unknown attribute source on <image>',
+      ]);
+    });
+
+    it('should check the types of attributes', () => {
+      expect(
+        findSchemaViolations(
+          <stack fontSize="12" margin="5" bold={() => true} />,
+          'content',
+        ),
+      ).toEqual([
+        'The fontSize attribute of <stack> must be a number, received "12"',
+        'The margin attribute of <stack> must be a number or an array, received "5"',
+        'The bold attribute of <stack> must be a boolean, received a function',
+      ]);
+      expect(
+        findSchemaViolations(<image src={Buffer.from('')} />, 'content'),
+      ).toEqual([]);
+    });
+
+    it('should suggest the closest value of attributes with a set of values', () => {
+      expect(
+        findSchemaViolations(<text alignment="centre" />, 'content'),
+      ).toEqual([
+        'The alignment attribute of <text> must be "left", "center", "right" or "justify", received "centre", did you mean "center"?',
+      ]);
+      expect(
+        findSchemaViolations(
+          <text decoration={['underline', 'overline']} />,
+          'content',
+        ),
+      ).toEqual([]);
+      expect(findSchemaViolations(<text decoration={1} />, 'content')).toEqual([
+        'The decoration attribute of <text> must be an array, "underline", "lineThrough" or "overline", received 1',
+      ]);
+    });
+
+    it('should allow the attributes which the parent uses', () => {
+      expect(findSchemaViolations(<text colSpan={2} />, 'row')).toEqual([]);
+      expect(findSchemaViolations(<stack width="*" />, 'columns')).toEqual([]);
+      expect(findSchemaViolations(<stack width="*" />, 'content')).toEqual([
+        'Unknown attribute width on <stack>',
+      ]);
+    });
+
+    it('should allow props to be spread onto elements', () => {
+      const props = { children: [], color: 'red' };
+
+      expect(findSchemaViolations(<svg {...props} />, 'content')).toEqual([]);
+    });
+
+    it('should only allow objects in <styles>', () => {
+      expect(
+        findSchemaViolations(
+          <styles heading={{ bold: true }} caption="small" />,
+          'content',
+        ),
+      ).toEqual([
+        'The caption style declared by <styles> must be an object, received "small"',
+      ]);
+    });
+  });
+});
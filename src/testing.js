@@ -0,0 +1,338 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// libs
+import has from 'lodash/has';
+import isEqual from 'lodash/isEqual';
+import isNil from 'lodash/isNil';
+import isPlainObject from 'lodash/isPlainObject';
+import pick from 'lodash/pick';
+
+import JsxPdf from '.';
+
+// set by renderPdf in test mode
+const elementNameKey = Symbol.for('jsx-pdf.elementName');
+
+// the properties of the document definition and its nodes which hold content
+const contentKeys = [
+  'content',
+  'header',
+  'footer',
+  'background',
+  'watermark',
+  'stack',
+  'columns',
+  'ul',
+  'ol',
+  'text',
+  'canvas',
+];
+
+const isTextLeaf = (node) => typeof node === 'string' || Number.isFinite(node);
+
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+function getChildren(node) {
+  if (Array.isArray(node)) {
+    return node;
+  }
+
+  if (!isPlainObject(node)) {
+    return [];
+  }
+
+  const children = contentKeys
+    .filter((key) => has(node, key))
+    .map((key) => node[key]);
+
+  if (node.table) {
+    children.push(node.table.body);
+  }
+
+  if (node.toc && !isNil(node.toc.title)) {
+    children.push(node.toc.title);
+  }
+
+  return children;
+}
+
+/**
+ * All the text inside a node, where render functions are left out as they are only
+ * called for each page by pdfmake.
+ */
+function getTextContent(node) {
+  if (isTextLeaf(node)) {
+    return `${node}`;
+  }
+
+  return getChildren(node)
+    .map((child) => getTextContent(child))
+    .join('');
+}
+
+// the nodes inside the container in document order, excluding text and the container
+function getNodes(container) {
+  return getChildren(container).reduce(
+    (nodes, child) => [
+      ...nodes,
+      ...(isPlainObject(child) ? [child] : []),
+      ...getNodes(child),
+    ],
+    [],
+  );
+}
+
+function matches(text, matcher, node) {
+  if (matcher instanceof RegExp) {
+    return matcher.test(text);
+  }
+
+  if (typeof matcher === 'function') {
+    return matcher(text, node);
+  }
+
+  return text === matcher;
+}
+
+/**
+ * Text nodes match by all the text inside them, while text which is placed straight
+ * into a stack, columns or a list is found through the node containing it.
+ */
+function queryAllByText(container, matcher) {
+  return getNodes(container).filter((node) =>
+    has(node, 'text')
+      ? matches(normalizeText(getTextContent(node)), matcher, node)
+      : getChildren(node).some(
+          (child) =>
+            Array.isArray(child) &&
+            child.some(
+              (grandchild) =>
+                isTextLeaf(grandchild) &&
+                matches(normalizeText(`${grandchild}`), matcher, node),
+            ),
+        ),
+  );
+}
+
+function queryAllByElement(container, elementName) {
+  return getNodes(container).filter(
+    (node) => node[elementNameKey] === elementName,
+  );
+}
+
+function queryAllByTestId(container, matcher) {
+  return getNodes(container).filter(
+    (node) => !isNil(node.testId) && matches(node.testId, matcher, node),
+  );
+}
+
+/**
+ * Creates the queryAllBy, queryBy, getAllBy and getBy variants of a query, where
+ * the get variants throw when nothing is found and the others don't. The variants
+ * returning a single node throw when more than one is found.
+ */
+function buildQueries(name, queryAll, describe) {
+  const getAll = (container, matcher) => {
+    const nodes = queryAll(container, matcher);
+
+    if (nodes.length === 0) {
+      throw new Error(`Unable to find a node ${describe(matcher)}`);
+    }
+
+    return nodes;
+  };
+
+  const findSingle = (nodes, matcher) => {
+    if (nodes.length > 1) {
+      throw new Error(`Found ${nodes.length} nodes ${describe(matcher)}`);
+    }
+
+    return nodes.length === 0 ? null : nodes[0];
+  };
+
+  return {
+    [`queryAllBy${name}`]: queryAll,
+    [`queryBy${name}`]: (container, matcher) =>
+      findSingle(queryAll(container, matcher), matcher),
+    [`getAllBy${name}`]: getAll,
+    [`getBy${name}`]: (container, matcher) =>
+      findSingle(getAll(container, matcher), matcher),
+  };
+}
+
+const queries = {
+  ...buildQueries(
+    'Text',
+    queryAllByText,
+    (matcher) => `with the text ${matcher}`,
+  ),
+  ...buildQueries(
+    'Element',
+    queryAllByElement,
+    (elementName) => `rendered from <${elementName}>`,
+  ),
+  ...buildQueries(
+    'TestId',
+    queryAllByTestId,
+    (matcher) => `with the testId ${matcher}`,
+  ),
+};
+
+/**
+ * Returns the queries bound to a node of the document definition, or to the result
+ * of a render function.
+ */
+export function within(container) {
+  return Object.keys(queries).reduce(
+    (boundQueries, name) => ({
+      ...boundQueries,
+      [name]: (matcher) => queries[name](container, matcher),
+    }),
+    {},
+  );
+}
+
+/**
+ * Renders the JSX in test mode, resolving to the document definition together with
+ * the queries bound to it.
+ */
+export async function render(element, options) {
+  const definition = await JsxPdf.renderPdf(element, {
+    ...options,
+    testMode: true,
+  });
+
+  return { definition, ...within(definition) };
+}
+
+function getLine(line) {
+  return {
+    text: line.inlines
+      .map((inline) => inline.text)
+      .join('')
+      .trimEnd(),
+    x: line.x,
+    y: line.y,
+    width: line.getWidth(),
+    height: line.getHeight(),
+  };
+}
+
+/**
+ * Renders the JSX to a PDF with pdfmake, resolving to the lines of text laid out on
+ * each page along with their positions in points from the top left corner. Accepts
+ * the options of renderToStream, so the fonts or a printer have to be passed.
+ *
+ * The pages aren't part of pdfmake's API, they are kept on the PDFKit document by
+ * pdfmake 0.2, the version jsx-pdf is tested with.
+ */
+export async function renderPages(element, options) {
+  const pdf = await JsxPdf.renderToStream(element, options);
+  // eslint-disable-next-line no-underscore-dangle -- pdfmake keeps the pages it laid out on the PDFKit document
+  const pdfMakePages = pdf._pdfMakePages;
+
+  if (!Array.isArray(pdfMakePages)) {
+    throw new TypeError(
+      "renderPages couldn't find the pages laid out by pdfmake, it supports pdfmake 0.2",
+    );
+  }
+
+  const pages = pdfMakePages.map(({ items, pageSize }) => {
+    const lines = items
+      .filter(({ type }) => type === 'line')
+      .map(({ item }) => getLine(item));
+
+    return {
+      text: lines.map((line) => line.text).join('\n'),
+      lines,
+      pageSize,
+    };
+  });
+
+  return { pageCount: pages.length, pages };
+}
+
+function printPageCount(pageCount) {
+  return pageCount === 1 ? '1 page' : `${pageCount} pages`;
+}
+
+/**
+ * Matchers for `expect.extend`, checking the nodes returned by the queries and the
+ * pages returned by renderPages.
+ */
+export const matchers = {
+  toHaveStyle(node, style) {
+    const properties = pick(node, Object.keys(style));
+    const pass = Object.keys(style).every((key) =>
+      isEqual(node[key], style[key]),
+    );
+
+    return {
+      pass,
+      message: () =>
+        `Expected the node ${
+          pass ? 'not ' : ''
+        }to have the style ${this.utils.printExpected(
+          style,
+        )}, received ${this.utils.printReceived(properties)}`,
+    };
+  },
+
+  toHaveTextContent(node, matcher) {
+    const text = normalizeText(getTextContent(node));
+    const pass =
+      matcher instanceof RegExp ? matcher.test(text) : text.includes(matcher);
+
+    return {
+      pass,
+      message: () =>
+        `Expected the node ${
+          pass ? 'not ' : ''
+        }to have the text content ${this.utils.printExpected(
+          matcher,
+        )}, received ${this.utils.printReceived(text)}`,
+    };
+  },
+
+  toHaveTextOnPage({ pages }, pageNumber, matcher) {
+    const page = pages[pageNumber - 1];
+
+    if (!page) {
+      return {
+        pass: false,
+        message: () =>
+          `Expected page ${pageNumber} to have the text ${this.utils.printExpected(
+            matcher,
+          )}, but the PDF has ${printPageCount(pages.length)}`,
+      };
+    }
+
+    const text = normalizeText(page.text);
+    const pass =
+      matcher instanceof RegExp ? matcher.test(text) : text.includes(matcher);
+
+    return {
+      pass,
+      message: () =>
+        `Expected page ${pageNumber} ${
+          pass ? 'not ' : ''
+        }to have the text ${this.utils.printExpected(
+          matcher,
+        )}, received ${this.utils.printReceived(text)}`,
+    };
+  },
+
+  toHavePageCount({ pageCount }, expectedPageCount) {
+    const pass = pageCount === expectedPageCount;
+
+    return {
+      pass,
+      message: () =>
+        `Expected the PDF ${pass ? 'not ' : ''}to have ${printPageCount(
+          expectedPageCount,
+        )}, received ${printPageCount(pageCount)}`,
+    };
+  },
+};
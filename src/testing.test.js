@@ -0,0 +1,330 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import { OpenSans } from '../example/font-descriptors';
+import JsxPdf from '.';
+import { matchers, render, renderPages, within } from './testing';
+
+expect.extend(matchers);
+
+const Invoice = ({ paid }) => (
+  <document>
+    <header>
+      {(currentPage, pageCount) => (
+        <text testId="page-number">
+          Page {currentPage} of {pageCount}
+        </text>
+      )}
+    </header>
+    <content>
+      <text testId="title" fontSize={18} bold>
+        Invoice <i>#42</i>
+      </text>
+      <columns>
+        <stack width="*">Total</stack>
+        <text testId="amount">
+          {'  100 '}
+          kr
+        </text>
+      </columns>
+      <ul>
+        <text>Design</text>
+        <text>Printing</text>
+      </ul>
+      <table>
+        <row>
+          <cell>Status</cell>
+          <cell testId="status">{paid ? 'Paid' : 'Due'}</cell>
+        </row>
+      </table>
+      <toc>
+        <text>Contents</text>
+      </toc>
+    </content>
+  </document>
+);
+
+const Report = ({ chapters }) => (
+  <document pageMargins={50} defaultStyle={{ font: 'OpenSans' }}>
+    <footer>
+      {(currentPage, pageCount) => (
+        <text>
+          Page {currentPage} of {pageCount}
+        </text>
+      )}
+    </footer>
+    <content>
+      {chapters.map((chapter, index) => (
+        <text pageBreak={index > 0 ? 'before' : undefined}>{chapter}</text>
+      ))}
+    </content>
+  </document>
+);
+
+describe('jsx-pdf/testing', () => {
+  describe('render', () => {
+    it('should resolve to the document definition and the queries', async () => {
+      const { definition, getByTestId } = await render(<Invoice />);
+
+      expect(definition.content.stack[0]).toMatchObject({ testId: 'title' });
+      expect(getByTestId('title')).toBe(definition.content.stack[0]);
+    });
+
+    it('should always render in test mode', async () => {
+      const { getByTestId } = await render(<Invoice />, { testMode: false });
+
+      expect(getByTestId('title')).toMatchObject({ bold: true });
+    });
+
+    it('should pass on the other render options', async () => {
+      await expect(
+        render(
+          <document>
+            <content>
+              <colums />
+            </content>
+          </document>,
+          { strict: true },
+        ),
+      ).rejects.toThrow('Unknown element <colums>');
+    });
+  });
+
+  describe('ByText', () => {
+    it('should find text nodes by all the text inside them', async () => {
+      const { getByText, queryByText } = await render(<Invoice paid />);
+
+      expect(getByText('Invoice #42')).toMatchObject({
+        testId: 'title',
+      });
+      expect(getByText('#42')).toMatchObject({ italics: true });
+      expect(getByText('100 kr')).toMatchObject({ testId: 'amount' });
+      expect(getByText('Paid')).toMatchObject({ testId: 'status' });
+      expect(getByText('Contents')).toEqual({ text: 'Contents' });
+      expect(queryByText('Invoice')).toBeNull();
+    });
+
+    it('should find the node containing loose text', async () => {
+      const { getByText, getAllByText } = await render(<Invoice />);
+
+      expect(getByText('Total')).toMatchObject({ width: '*' });
+      expect(getAllByText(/^(Design|Printing)$/)).toEqual([
+        { text: 'Design' },
+        { text: 'Printing' },
+      ]);
+    });
+
+    it('should accept a function', async () => {
+      const { getAllByText } = await render(<Invoice />);
+
+      expect(
+        getAllByText((text, node) => node.bold && text.startsWith('Invoice')),
+      ).toHaveLength(1);
+    });
+
+    it('should throw when there are no matches or more than one', async () => {
+      const { getByText, getAllByText, queryByText } = await render(
+        <Invoice />,
+      );
+
+      expect(() => getByText('Paid')).toThrow(
+        'Unable to find a node with the text Paid',
+      );
+      expect(() => getAllByText(/Paid/)).toThrow(
+        'Unable to find a node with the text /Paid/',
+      );
+      expect(() => queryByText(/i/)).toThrow(
+        /^Found \d+ nodes with the text \/i\/$/,
+      );
+    });
+  });
+
+  describe('ByElement', () => {
+    it('should find nodes by the element they were rendered from', async () => {
+      const {
+        definition,
+        getByElement,
+        getAllByElement,
+        queryByElement,
+      } = await render(<Invoice />);
+
+      expect(getByElement('i')).toEqual({ text: '#42', italics: true });
+      expect(getAllByElement('cell')).toHaveLength(2);
+      expect(getByElement('content')).toBe(definition.content);
+      expect(queryByElement('image')).toBeNull();
+      expect(() => getByElement('image')).toThrow(
+        'Unable to find a node rendered from <image>',
+      );
+    });
+
+    it('should find nodes in memoized results and elements with an id', async () => {
+      const Card = JsxPdf.memo(() => (
+        <table>
+          <row>
+            <cell>Card</cell>
+          </row>
+        </table>
+      ));
+      const { getByElement, queryAllByElement } = await render(
+        <document>
+          <content>
+            <stack id="cards">
+              <Card />
+              <Card />
+              <Card />
+            </stack>
+          </content>
+        </document>,
+      );
+
+      expect(queryAllByElement('table')).toHaveLength(3);
+      expect(getByElement('stack')).toHaveTextContent('CardCardCard');
+    });
+  });
+
+  describe('ByTestId', () => {
+    it('should find nodes by their testId', async () => {
+      const { getByTestId, getAllByTestId, queryAllByTestId } = await render(
+        <Invoice />,
+      );
+
+      expect(getAllByTestId(/^(title|amount)$/)).toHaveLength(2);
+      expect(queryAllByTestId('page-number')).toEqual([]);
+      expect(() => getByTestId(/^(title|amount)$/)).toThrow(
+        'Found 2 nodes with the testId /^(title|amount)$/',
+      );
+    });
+  });
+
+  describe('within', () => {
+    it('should query the nodes inside a node', async () => {
+      const { getByElement } = await render(<Invoice />);
+
+      const { getByText, queryByText } = within(getByElement('columns'));
+
+      expect(getByText('Total')).toMatchObject({ width: '*' });
+      expect(queryByText('Design')).toBeNull();
+    });
+
+    it('should query the result of a render function', async () => {
+      const { definition } = await render(<Invoice />);
+
+      const { getByTestId } = within(
+        definition.header(1, 2, { width: 595, height: 842 }),
+      );
+
+      expect(getByTestId('page-number')).toHaveTextContent('Page 1 of 2');
+    });
+  });
+
+  describe('renderPages', () => {
+    it('should resolve to the lines of text on each page', async () => {
+      const { pageCount, pages } = await renderPages(
+        <Report chapters={['Introduction', 'Results']} />,
+        { fonts: { OpenSans } },
+      );
+
+      expect(pageCount).toBe(2);
+      expect(pages[0].text).toBe('Introduction\nPage 1 of 2');
+      expect(pages[1].text).toBe('Results\nPage 2 of 2');
+      expect(pages[0].pageSize).toMatchObject({ orientation: 'portrait' });
+      expect(pages[0].lines[0]).toEqual({
+        text: 'Introduction',
+        x: 50,
+        y: 50,
+        width: expect.any(Number),
+        height: expect.any(Number),
+      });
+      expect(pages[0].lines[1].y).toBeGreaterThan(pages[0].lines[0].y);
+    });
+
+    it('should use the printer which is passed', async () => {
+      const printer = {
+        createPdfKitDocument: jest.fn(() => ({ end() {}, _pdfMakePages: [] })),
+      };
+
+      expect(await renderPages(<Report chapters={[]} />, { printer })).toEqual({
+        pageCount: 0,
+        pages: [],
+      });
+      expect(printer.createPdfKitDocument).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw if pdfmake does not keep the pages it laid out', async () => {
+      const printer = { createPdfKitDocument: () => ({ end() {} }) };
+
+      await expect(
+        renderPages(<Report chapters={[]} />, { printer }),
+      ).rejects.toThrow(
+        "renderPages couldn't find the pages laid out by pdfmake, it supports pdfmake 0.2",
+      );
+    });
+  });
+
+  describe('matchers', () => {
+    it('should check the style of a node', async () => {
+      const { getByTestId } = await render(<Invoice />);
+      const title = getByTestId('title');
+
+      expect(title).toHaveStyle({ fontSize: 18, bold: true });
+      expect(title).not.toHaveStyle({ fontSize: 18, italics: true });
+      expect(() => expect(title).toHaveStyle({ fontSize: 12 })).toThrow(
+        'Expected the node to have the style',
+      );
+      expect(() => expect(title).not.toHaveStyle({ bold: true })).toThrow(
+        'Expected the node not to have the style',
+      );
+    });
+
+    it('should check the text content of a node', async () => {
+      const { getByElement } = await render(<Invoice />);
+      const table = getByElement('table');
+
+      expect(table).toHaveTextContent('Status');
+      expect(table).toHaveTextContent(/^StatusDue$/);
+      expect(table).not.toHaveTextContent('Paid');
+      expect(() => expect(table).toHaveTextContent('Paid')).toThrow(
+        'Expected the node to have the text content',
+      );
+      expect(() => expect(table).not.toHaveTextContent('Due')).toThrow(
+        'Expected the node not to have the text content',
+      );
+    });
+
+    it('should check the text on a page', async () => {
+      const pdf = await renderPages(
+        <Report chapters={['Introduction', 'Results']} />,
+        { fonts: { OpenSans } },
+      );
+
+      expect(pdf).toHaveTextOnPage(1, 'Introduction Page 1');
+      expect(pdf).toHaveTextOnPage(2, /^Results/);
+      expect(pdf).not.toHaveTextOnPage(2, 'Introduction');
+      expect(pdf).not.toHaveTextOnPage(3, 'Results');
+      expect(() => expect(pdf).toHaveTextOnPage(1, 'Results')).toThrow(
+        'Expected page 1 to have the text',
+      );
+      expect(() => expect(pdf).not.toHaveTextOnPage(2, 'Results')).toThrow(
+        'Expected page 2 not to have the text',
+      );
+      expect(() => expect(pdf).toHaveTextOnPage(3, 'Results')).toThrow(
+        'but the PDF has 2 pages',
+      );
+    });
+
+    it('should check the number of pages', () => {
+      const pdf = { pageCount: 1, pages: [{ text: '', lines: [] }] };
+
+      expect(pdf).toHavePageCount(1);
+      expect(pdf).not.toHavePageCount(2);
+      expect(() => expect(pdf).toHavePageCount(2)).toThrow(
+        'Expected the PDF to have 2 pages, received 1 page',
+      );
+      expect(() => expect(pdf).not.toHavePageCount(1)).toThrow(
+        'Expected the PDF not to have 1 page, received 1 page',
+      );
+    });
+  });
+});
@@ -1,53 +1,128 @@
+import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+import JsxPdf from '../dst';
+import { matchers, renderPages } from '../dst/testing';
+import PDF from '../example/components/root';
+import { OpenSans } from '../example/font-descriptors';
 
-import PDFParser from 'pdf2json';
+expect.extend(matchers);
 
-const pages = (json) => json.formImage.Pages;
+const matchAll = (text, pattern) => [...text.matchAll(pattern)];
+const fromHex = (hex) => Number.parseInt(hex, 16);
 
-const text = (json) =>
-  pages(json)
-    .map((page) =>
-      page.Texts.map((line) =>
-        line.R.map((item) => decodeURIComponent(item.T)).join(''),
-      ).join(''),
-    )
+// reads the text of the PDFs PDFKit writes, using the unicode map of each font
+const readPdfText = (file) => {
+  const pdf = fs.readFileSync(file);
+
+  const objects = new Map(
+    matchAll(pdf.toString('latin1'), /(\d+) 0 obj([\S\s]*?)endobj/g).map(
+      (match) => {
+        const [, number, body] = match;
+        const stream = /stream\r?\n([\S\s]*)\r?\nendstream/.exec(body);
+
+        if (!stream) {
+          return [number, { dictionary: body, content: '' }];
+        }
+
+        const dictionary = body.slice(0, stream.index);
+        const start = match.index + match[0].indexOf(stream[1]);
+        const data = pdf.slice(start, start + stream[1].length);
+        const content = dictionary.includes('/FlateDecode')
+          ? zlib.inflateSync(data)
+          : data;
+
+        return [number, { dictionary, content: content.toString('latin1') }];
+      },
+    ),
+  );
+
+  const readCharacters = (cmap) =>
+    new Map(
+      matchAll(
+        cmap,
+        /<(\w+)> <\w+> \[([^\]]*)]/g,
+      ).flatMap(([, first, targets]) =>
+        targets
+          .match(/\w+/g)
+          .map((target, index) => [
+            fromHex(first) + index,
+            String.fromCharCode(fromHex(target)),
+          ]),
+      ),
+    );
+
+  const fonts = new Map(
+    [...objects.values()].flatMap(({ dictionary }) =>
+      matchAll(dictionary, /\/(F\d+) (\d+) 0 R/g).map(([, name, number]) => {
+        const [, cmap] = /\/ToUnicode (\d+) 0 R/.exec(
+          objects.get(number).dictionary,
+        );
+
+        return [name, readCharacters(objects.get(cmap).content)];
+      }),
+    ),
+  );
+
+  let font;
+  return [...objects.values()]
+    .flatMap(({ content }) => matchAll(content, /\bBT\b([\S\s]*?)\bET\b/g))
+    .flatMap(([, block]) => matchAll(block, /\/(F\d+) [\d.]+ Tf|<(\w+)>/g))
+    .map(([, name, hex]) => {
+      if (name) {
+        font = fonts.get(name);
+        return '';
+      }
+
+      return hex
+        .match(/\w{4}/g)
+        .map((code) => font.get(fromHex(code)))
+        .join('');
+    })
     .join('');
+};
 
 describe('pdf', () => {
   describe('invoice', () => {
     let pdf;
-    let content;
 
     beforeAll(async () => {
-      const pdfParser = new PDFParser();
-
-      const data = new Promise((resolve, reject) => {
-        pdfParser.on('pdfParser_dataError', (errData) =>
-          reject(errData.parserError),
-        );
-        pdfParser.on('pdfParser_dataReady', (pdfData) => resolve(pdfData));
+      pdf = await renderPages(<PDF config={{ copyrightYear: 2018 }} />, {
+        fonts: { OpenSans },
       });
+    });
+
+    it('should fit on a single page', () => {
+      expect(pdf).toHavePageCount(1);
+    });
 
-      pdfParser.loadPDF(path.resolve(__dirname, '../example/example.pdf'));
+    it('should match the PDF written by the demo', () => {
+      const file = path.resolve(__dirname, '../example/example.pdf');
+      const demo = fs.readFileSync(file, 'latin1');
+      const text = readPdfText(file);
 
-      pdf = await data;
-      content = text(pdf);
+      expect(demo).toMatch(/^%PDF-/);
+      expect(demo).toMatch(
+        new RegExp(`/Type /Pages\\s+/Count ${pdf.pageCount}\\b`),
+      );
+      expect(text).toContain('Example, Inc');
+      pdf.pages[0].lines.forEach((line) => expect(text).toContain(line.text));
     });
 
     it('should have a content', () => {
-      expect(content.length).toBeGreaterThan(100);
+      expect(pdf.pages[0].text.length).toBeGreaterThan(100);
     });
 
     it('should contain lorum ipsum', () => {
-      expect(content).toContain('Lorem ipsum');
+      expect(pdf).toHaveTextOnPage(1, 'Lorem ipsum');
     });
 
     it('should contain the company name', () => {
-      expect(content).toContain('Example, Inc');
+      expect(pdf).toHaveTextOnPage(1, 'Example, Inc');
     });
 
     it('should contain page info in the footer', () => {
-      expect(content).toContain('Page 1 of 1.');
+      expect(pdf).toHaveTextOnPage(1, 'Page 1 of 1.');
     });
   });
 });
@@ -0,0 +1,173 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import PdfPrinter from 'pdfmake';
+import { TDocumentDefinitions } from 'pdfmake/interfaces';
+import JsxPdf from 'jsx-pdf';
+
+const ThemeContext = JsxPdf.createContext({ color: 'black' });
+
+const Greeting = ({ name }: { name: string }) => (
+  <text bold>Hello, {name}!</text>
+);
+
+const Heading = (
+  { children }: JsxPdf.PropsWithChildren,
+  context: JsxPdf.RenderContext,
+) => <text color={ThemeContext.read(context).color}>{children}</text>;
+
+const Config: JsxPdf.Component<JsxPdf.PropsWithChildren> = (
+  { children },
+  context,
+  updateContext,
+) => {
+  updateContext({ locale: 'en' });
+  return children;
+};
+
+const DataLoader = async ({
+  children,
+}: {
+  children: (data: { customer: string }) => JsxPdf.Node;
+}) => children({ customer: 'ACME' });
+
+const Total = JsxPdf.memo(
+  ({ amount }: { amount: number }) => <text>{amount}</text>,
+  (previousProps, nextProps) => previousProps.amount === nextProps.amount,
+);
+
+const doc = (
+  <Config>
+    <document
+      pageSize="A4"
+      pageMargins={[40, 60]}
+      defaultStyle={{ font: 'OpenSans' }}
+      info={{ title: 'Invoice' }}
+    >
+      <header>
+        {(currentPage, pageCount) => (
+          <text alignment="right">
+            {currentPage} of {pageCount}
+          </text>
+        )}
+      </header>
+      <content>
+        <Greeting name="ACME" />
+        <Heading>Invoice</Heading>
+        <DataLoader>{({ customer }) => <text>{customer}</text>}</DataLoader>
+        <ThemeContext.Provider value={{ color: 'darkblue' }}>
+          <ThemeContext.Consumer>
+            {({ color }) => <text color={color}>Summary</text>}
+          </ThemeContext.Consumer>
+        </ThemeContext.Provider>
+        <JsxPdf.ErrorBoundary
+          fallback={(error) => <text>{error.componentPath}</text>}
+          onError={(error) => console.error(error.message)}
+        >
+          <Total amount={42} />
+        </JsxPdf.ErrorBoundary>
+        <>
+          <columns columnGap={10}>
+            <stack width="*" margin={[0, 5]}>
+              <text fontSize={12} decoration={['underline', 'overline']}>
+                Left
+              </text>
+            </stack>
+            <image src="logo.png" width={100} fit={[100, 100]} />
+          </columns>
+        </>
+        <image src={Buffer.from('')} />
+        <svg content="<svg></svg>" width={20} />
+        <qr content="https://example.com" eccLevel="M" fit={100} />
+        <table widths={['*', 'auto']} headerRows={1} layout="noBorders">
+          <row key="first">
+            <cell colSpan={2} fillColor="#eee">
+              Total
+            </cell>
+          </row>
+        </table>
+        <ul type="square">
+          <text listType="circle">Item</text>
+        </ul>
+        <ol type="lower-roman" start={3} separator={['(', ')']} reversed>
+          <text counter={5}>Item</text>
+        </ol>
+        <canvas>
+          <rect x={0} y={0} w={10} h={10} color="red" />
+          <line x1={0} y1={0} x2={10} y2={10} lineWidth={2} />
+          <polyline points={[{ x: 0, y: 0 }]} closePath />
+          <ellipse x={5} y={5} r1={5} />
+        </canvas>
+        <toc title="Contents" textStyle={{ italics: true }} />
+        <text tocItem id="intro">
+          Intro <b>bold</b> <i>italics</i> <sup>1</sup>
+        </text>
+        <link href="https://example.com">
+          <u>Site</u>
+        </link>
+        <link to="intro">Back</link>
+        <pageBreak />
+        <section pageOrientation="landscape" pageBreak="before">
+          Wide
+        </section>
+        <styles heading={{ bold: true }} />
+      </content>
+      <background>
+        {(currentPage, pageSize) => <text>{pageSize.width}</text>}
+      </background>
+      <watermark opacity={0.2} angle={-45}>
+        {(currentPage) => `Page ${currentPage}`}
+      </watermark>
+    </document>
+  </Config>
+);
+
+// @ts-expect-error misspelled attributes
+<text fontsize={12} />;
+// @ts-expect-error unknown elements
+<colums />;
+// @ts-expect-error values which pdfmake doesn't accept
+<text alignment="centre" />;
+// @ts-expect-error void elements can't have children
+<image src="logo.png">logo</image>;
+// @ts-expect-error required attributes
+<qr />;
+// @ts-expect-error the props of components are checked
+<Greeting />;
+// @ts-expect-error render props are typed
+<DataLoader>{({ name }) => name}</DataLoader>;
+
+const element: JsxPdf.Element = JsxPdf.createElement(
+  'text',
+  { bold: true },
+  'Hello',
+);
+JsxPdf.createElement(Greeting, { name: 'ACME' });
+// @ts-expect-error createElement checks the attributes as well
+JsxPdf.createElement('image', { source: 'logo.png' });
+
+export async function render(printer: PdfPrinter): Promise<void> {
+  const cache = JsxPdf.createRenderCache({ maxEntries: 100 });
+  // @ts-expect-error maxEntries is a number
+  JsxPdf.createRenderCache({ maxEntries: '100' });
+  const definition: TDocumentDefinitions = await JsxPdf.renderPdf(doc, {
+    concurrency: 2,
+    strict: 'warn',
+    cache,
+  });
+  const buffer: Buffer = await JsxPdf.renderToBuffer(element, {
+    fonts: { OpenSans: { normal: 'OpenSans-Regular.ttf' } },
+    pdfOptions: { tableLayouts: {} },
+  });
+  const stream = await JsxPdf.renderToStream(doc, { printer });
+  stream.pipe(process.stdout);
+
+  // @ts-expect-error the fonts or a printer are needed
+  await JsxPdf.renderToStream(doc, {});
+  // @ts-expect-error strict is true, false or 'warn'
+  await JsxPdf.renderPdf(doc, { strict: 'error' });
+
+  console.log(definition, buffer, cache.hits, cache.misses);
+}
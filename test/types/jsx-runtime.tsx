@@ -0,0 +1,38 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+/** @jsxRuntime automatic */
+/** @jsxImportSource jsx-pdf */
+
+import { jsx, jsxs, Fragment } from 'jsx-pdf/jsx-runtime';
+import { jsxDEV } from 'jsx-pdf/jsx-dev-runtime';
+
+const Greeting = ({ name }: { name: string }) => (
+  <text bold>Hello, {name}!</text>
+);
+
+export const doc = (
+  <document>
+    <content>
+      <>
+        <Greeting name="ACME" />
+        <qr content="https://example.com" />
+      </>
+    </content>
+  </document>
+);
+
+// @ts-expect-error misspelled attributes
+<text fontsize={12} />;
+// @ts-expect-error the props of components are checked
+<Greeting />;
+
+jsx('text', { children: 'Hello' }, 'greeting');
+jsxs(Fragment, { children: ['Hello', <Greeting name="ACME" />] });
+jsxDEV(Greeting, { name: 'ACME' }, undefined, false, {
+  fileName: 'invoice.tsx',
+  lineNumber: 1,
+  columnNumber: 1,
+});
@@ -0,0 +1,54 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+/*
+ * Keeps the declared elements and attributes in sync with the schema which the
+ * `strict` option checks them against.
+ */
+
+import JsxPdf from 'jsx-pdf';
+import { elementSchemas, parentAttributes } from '../../src/schema';
+
+type Schemas = typeof elementSchemas;
+type IntrinsicElements = JsxPdf.JSX.IntrinsicElements;
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B
+  ? 1
+  : 2
+  ? true
+  : false;
+type Assert<T extends true> = T;
+
+type SchemaAttributes<K extends keyof Schemas> = keyof NonNullable<
+  Schemas[K]['attributes']
+>;
+
+type ParentAttributes = {
+  [K in keyof typeof parentAttributes]: keyof typeof parentAttributes[K];
+}[keyof typeof parentAttributes];
+
+// the schema only allows the attributes of <styles> to be objects
+type CheckedElements = Exclude<keyof Schemas, 'styles'>;
+
+// a <section> accepts pageSize only to explain why it can't be changed
+type UndeclaredAttributes = {
+  [K in CheckedElements]: Exclude<
+    SchemaAttributes<K>,
+    keyof IntrinsicElements[K] | (K extends 'section' ? 'pageSize' : never)
+  >;
+};
+
+type UncheckedAttributes = {
+  [K in CheckedElements]: Exclude<
+    keyof IntrinsicElements[K],
+    SchemaAttributes<K> | ParentAttributes | 'children'
+  >;
+};
+
+export type Tests = [
+  Assert<Equal<keyof Schemas, keyof IntrinsicElements>>,
+  Assert<Equal<UndeclaredAttributes[CheckedElements], never>>,
+  Assert<Equal<UncheckedAttributes[CheckedElements], never>>,
+];
@@ -0,0 +1,57 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import JsxPdf from 'jsx-pdf';
+import { matchers, render, renderPages, within } from 'jsx-pdf/testing';
+
+// stands in for the expect of jest, which the matchers are added to
+declare function expect(actual: unknown): jest.Matchers<void>;
+
+export async function checkTitle() {
+  const {
+    definition,
+    getByTestId,
+    queryByText,
+    getAllByElement,
+  } = await render(
+    <document>
+      <content>
+        <text testId="title" bold>
+          Hello
+        </text>
+      </content>
+    </document>,
+    { cache: JsxPdf.createRenderCache() },
+  );
+
+  expect(getByTestId('title')).toHaveStyle({ bold: true });
+  expect(queryByText(/hello/i)).toHaveTextContent('Hello');
+
+  const { getByText } = within(definition.content);
+  getByText((text, node) => node.bold && text === 'Hello');
+
+  // @ts-expect-error unknown elements
+  getAllByElement('paragraph');
+  // @ts-expect-error text content is matched by strings and regular expressions
+  expect(getByText('Hello')).toHaveTextContent(() => true);
+
+  return matchers.toHaveStyle(getByText('Hello'), { bold: true }).pass;
+}
+
+export async function checkPages() {
+  const pdf = await renderPages(<document />, {
+    fonts: { Roboto: { normal: 'Roboto-Regular.ttf' } },
+  });
+
+  expect(pdf).toHavePageCount(1);
+  expect(pdf).toHaveTextOnPage(1, /Total/);
+
+  const [{ text, x, y }] = pdf.pages[0].lines;
+
+  // @ts-expect-error the fonts or a printer are needed to lay out the pages
+  renderPages(<document />);
+
+  return `${text} ${x + y} ${pdf.pages[0].pageSize.orientation}`;
+}
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+import { ContextPageSize, TDocumentDefinitions } from 'pdfmake/interfaces';
+import JsxPdf from './index';
+
+/**
+ * Nodes of the document definition, as rendered by pdfmake.
+ */
+export type Node = Record<string, any>;
+
+/**
+ * Strings match the whole normalized text, while functions are called with the
+ * text and the node it belongs to.
+ */
+export type TextMatcher =
+  | string
+  | RegExp
+  | ((text: string, node: Node) => boolean);
+
+export interface Queries {
+  queryAllByText(matcher: TextMatcher): Node[];
+  queryByText(matcher: TextMatcher): Node | null;
+  getAllByText(matcher: TextMatcher): Node[];
+  getByText(matcher: TextMatcher): Node;
+  queryAllByElement(elementName: keyof JsxPdf.JSX.IntrinsicElements): Node[];
+  queryByElement(elementName: keyof JsxPdf.JSX.IntrinsicElements): Node | null;
+  getAllByElement(elementName: keyof JsxPdf.JSX.IntrinsicElements): Node[];
+  getByElement(elementName: keyof JsxPdf.JSX.IntrinsicElements): Node;
+  queryAllByTestId(matcher: TextMatcher): Node[];
+  queryByTestId(matcher: TextMatcher): Node | null;
+  getAllByTestId(matcher: TextMatcher): Node[];
+  getByTestId(matcher: TextMatcher): Node;
+}
+
+export interface RenderResult extends Queries {
+  definition: TDocumentDefinitions;
+}
+
+export declare function render(
+  element: JsxPdf.Element,
+  options?: JsxPdf.RenderOptions,
+): Promise<RenderResult>;
+
+export declare function within(container: any): Queries;
+
+/**
+ * A line of text laid out by pdfmake, positioned in points from the top left corner
+ * of the page.
+ */
+export interface Line {
+  text: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface Page {
+  /**
+   * The lines of the page separated by newlines.
+   */
+  text: string;
+  lines: Line[];
+  pageSize: ContextPageSize;
+}
+
+export interface RenderPagesResult {
+  pageCount: number;
+  pages: Page[];
+}
+
+export declare function renderPages(
+  element: JsxPdf.Element,
+  options: JsxPdf.RenderToStreamOptions,
+): Promise<RenderPagesResult>;
+
+interface MatcherResult {
+  pass: boolean;
+  message(): string;
+}
+
+export declare const matchers: {
+  toHaveStyle(node: Node, style: Record<string, any>): MatcherResult;
+  toHaveTextContent(node: Node, matcher: string | RegExp): MatcherResult;
+  toHaveTextOnPage(
+    pdf: RenderPagesResult,
+    pageNumber: number,
+    matcher: string | RegExp,
+  ): MatcherResult;
+  toHavePageCount(pdf: RenderPagesResult, pageCount: number): MatcherResult;
+};
+
+declare global {
+  namespace jest {
+    interface Matchers<R = void, T = {}> {
+      toHaveStyle(style: Record<string, any>): R;
+      toHaveTextContent(matcher: string | RegExp): R;
+      toHaveTextOnPage(pageNumber: number, matcher: string | RegExp): R;
+      toHavePageCount(pageCount: number): R;
+    }
+  }
+}
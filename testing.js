@@ -0,0 +1,7 @@
+/*
+ * Copyright 2018 Schibsted.
+ * Licensed under the MIT license. See LICENSE file in the project root for details.
+ */
+
+// for tools which don't read the exports of package.json
+module.exports = require('./dst/testing');